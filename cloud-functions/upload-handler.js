@@ -5,6 +5,96 @@ const Busboy = require('busboy');
 
 const storage = new Storage();
 const bucket = storage.bucket(process.env.UPLOAD_BUCKET || 'ai-debate-uploads');
+const CLOUD_RUN_URL = process.env.CLOUD_RUN_URL || 'https://processdebatevideo-497659694361.us-central1.run.app/processDebateVideo';
+
+// Have the video processor inspect a stored upload. If it could not process the video, the
+// upload is deleted and the response is 400 with the inspection's error code. Resolves to
+// whether the upload was accepted; when the processor cannot be reached it is, as the job's
+// inspect step checks it again.
+async function inspectUpload(file, processingPayload, res) {
+    const inspectUrl = new URL(`/uploads/${processingPayload.fileId}/inspect`, CLOUD_RUN_URL).href;
+    let response;
+    try {
+        response = await fetch(inspectUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ videoUrl: processingPayload.videoUrl, fileName: processingPayload.fileName })
+        });
+    } catch (error) {
+        console.error('Upload inspection failed:', error.message);
+        return true;
+    }
+
+    if (response.status !== 400) {
+        if (!response.ok) console.error('Upload inspection failed:', response.status, await response.text());
+        return true;
+    }
+
+    const rejection = processingErrorFrom(response.status, await response.text());
+    console.log(`Upload rejected (${rejection.code}):`, rejection.error);
+    await file.delete().catch(err => console.log('Error deleting rejected upload:', err));
+    res.status(400).json({
+        success: false,
+        error: rejection.error,
+        code: rejection.code
+    });
+    return false;
+}
+
+async function deleteChunks(uploadId, totalChunks) {
+    for (let i = 0; i < totalChunks; i++) {
+        const tempChunkPath = `temp/${uploadId}/chunk_${i}`;
+        const tempChunkFile = bucket.file(tempChunkPath);
+        await tempChunkFile.delete().catch(err => console.log('Error deleting temp chunk:', err));
+    }
+}
+
+// Queue the uploaded video with the video processor. A rejected request resolves with the
+// processor's reason as error rather than failing the upload, which is already stored.
+async function triggerProcessing(processingPayload) {
+    console.log('Triggering video processing at:', CLOUD_RUN_URL);
+
+    const processingResponse = await fetch(CLOUD_RUN_URL, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(processingPayload)
+    });
+
+    if (!processingResponse.ok) {
+        const errorText = await processingResponse.text();
+        console.error('Processing trigger failed:', errorText);
+        return { triggered: false, jobId: null, statusUrl: null, error: processingErrorFrom(processingResponse.status, errorText) };
+    }
+
+    const job = await processingResponse.json();
+    console.log('Video processing queued as job:', job.jobId);
+
+    return {
+        triggered: true,
+        jobId: job.jobId,
+        statusUrl: new URL(job.statusUrl, CLOUD_RUN_URL).href
+    };
+}
+
+// The processor's reason for rejecting a request, to pass on to the client: the error and code
+// from its JSON body, or the response text
+function processingErrorFrom(status, text) {
+    let body = null;
+    try {
+        body = JSON.parse(text);
+    } catch (error) {
+        body = null;
+    }
+    return {
+        status: status,
+        error: (body && body.error) || text.substring(0, 500) || `Processor returned ${status}`,
+        code: (body && body.code) || null
+    };
+}
 
 // Handle base64 upload (single file or chunked)
 async function handleBase64Upload(req, res) {
@@ -21,7 +111,9 @@ async function handleBase64Upload(req, res) {
             chunkIndex,
             totalChunks,
             chunkData,
-            isLastChunk
+            isLastChunk,
+            // The other fields are processing options, which the video processor picks out
+            ...processingOptions
         } = req.body;
 
         console.log('Base64 upload data:', {
@@ -30,6 +122,7 @@ async function handleBase64Upload(req, res) {
             fileSize,
             email,
             topic,
+            processingOptions,
             hasVideoData: !!videoData,
             hasChunkData: !!chunkData,
             uploadId,
@@ -92,52 +185,34 @@ async function handleBase64Upload(req, res) {
             }
         });
 
-        // Make file publicly readable (for processing) - handle gracefully if permission denied
-        try {
-            await file.makePublic();
-            console.log('File made public successfully');
-        } catch (error) {
-            console.log('Could not make file public (this is okay for processing):', error.message);
-        }
-
         console.log('File uploaded successfully to Cloud Storage');
 
         // Trigger video processing
         const processingPayload = {
-            videoUrl: `https://storage.googleapis.com/${bucket.name}/${filePath}`,
+            videoUrl: `gs://${bucket.name}/${filePath}`,
             fileId: fileId,
             fileName: fileName,
             userEmail: email,
             topic: topic || '',
+            options: processingOptions,
             timestamp: new Date().toISOString()
         };
 
-        // Send to Cloud Run for processing
-        const cloudRunUrl = process.env.CLOUD_RUN_URL || 'https://processdebatevideo-497659694361.us-central1.run.app/processDebateVideo';
-        
-        console.log('Triggering video processing at:', cloudRunUrl);
-        
-        const processingResponse = await fetch(cloudRunUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(processingPayload)
-        });
+        if (!(await inspectUpload(file, processingPayload, res))) return;
 
-        if (!processingResponse.ok) {
-            console.error('Processing trigger failed:', await processingResponse.text());
-        } else {
-            console.log('Video processing triggered successfully');
-        }
+        // Send to Cloud Run for processing
+        const processing = await triggerProcessing(processingPayload);
 
         res.status(200).json({
             success: true,
-            message: 'Video uploaded successfully and processing started',
+            message: processing.triggered ? 'Video uploaded successfully and processing started' : 'Video uploaded, but processing could not be started',
             fileId: fileId,
             fileName: fileName,
             fileSize: buffer.length,
-            processingTriggered: processingResponse.ok
+            processingTriggered: processing.triggered,
+            jobId: processing.jobId,
+            statusUrl: processing.statusUrl,
+            processingError: processing.error || null
         });
 
     } catch (error) {
@@ -163,7 +238,9 @@ async function handleChunkedUpload(req, res) {
             fileSize,
             email,
             topic,
-            isLastChunk
+            isLastChunk,
+            // The other fields are processing options, which the video processor picks out
+            ...processingOptions
         } = req.body;
 
         console.log(`Processing chunk ${chunkIndex + 1}/${totalChunks} for upload ${uploadId}`);
@@ -242,58 +319,37 @@ async function handleChunkedUpload(req, res) {
                 }
             });
 
-            // Make file publicly readable - handle gracefully if permission denied
-            try {
-                await file.makePublic();
-                console.log('File made public successfully');
-            } catch (error) {
-                console.log('Could not make file public (this is okay for processing):', error.message);
-            }
-
             // Clean up temporary chunks
-            for (let i = 0; i < totalChunks; i++) {
-                const tempChunkPath = `temp/${uploadId}/chunk_${i}`;
-                const tempChunkFile = bucket.file(tempChunkPath);
-                await tempChunkFile.delete().catch(err => console.log('Error deleting temp chunk:', err));
-            }
+            await deleteChunks(uploadId, totalChunks);
 
             console.log('File uploaded successfully to Cloud Storage');
 
             // Trigger video processing
             const processingPayload = {
-                videoUrl: `https://storage.googleapis.com/${bucket.name}/${filePath}`,
+                videoUrl: `gs://${bucket.name}/${filePath}`,
                 fileId: fileId,
                 fileName: fileName,
                 userEmail: email,
                 topic: topic || '',
+                options: processingOptions,
                 timestamp: new Date().toISOString()
             };
 
-            const cloudRunUrl = process.env.CLOUD_RUN_URL || 'https://processdebatevideo-497659694361.us-central1.run.app/processDebateVideo';
-            
-            console.log('Triggering video processing at:', cloudRunUrl);
-            
-            const processingResponse = await fetch(cloudRunUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(processingPayload)
-            });
+            if (!(await inspectUpload(file, processingPayload, res))) return;
 
-            if (!processingResponse.ok) {
-                console.error('Processing trigger failed:', await processingResponse.text());
-            } else {
-                console.log('Video processing triggered successfully');
-            }
+            // Send to Cloud Run for processing
+            const processing = await triggerProcessing(processingPayload);
 
             res.status(200).json({
                 success: true,
-                message: 'Video uploaded successfully and processing started',
+                message: processing.triggered ? 'Video uploaded successfully and processing started' : 'Video uploaded, but processing could not be started',
                 fileId: fileId,
                 fileName: fileName,
                 fileSize: combinedBuffer.length,
-                processingTriggered: processingResponse.ok,
+                processingTriggered: processing.triggered,
+                jobId: processing.jobId,
+                statusUrl: processing.statusUrl,
+                processingError: processing.error || null,
                 isLastChunk: true
             });
         } else {
@@ -364,6 +420,8 @@ exports.uploadVideo = async (req, res) => {
         let fileData = null;
         let email = null;
         let topic = null;
+        // The other fields are processing options, which the video processor picks out
+        const fields = {};
         let hasError = false;
 
         busboy.on('file', (fieldname, file, info) => {
@@ -416,6 +474,8 @@ exports.uploadVideo = async (req, res) => {
                 email = value;
             } else if (fieldname === 'topic') {
                 topic = value;
+            } else {
+                fields[fieldname] = value;
             }
         });
 
@@ -465,47 +525,34 @@ exports.uploadVideo = async (req, res) => {
                     }
                 });
 
-                // Make file publicly readable (for processing)
-                await file.makePublic();
-
                 console.log('File uploaded successfully to Cloud Storage');
 
                 // Trigger video processing
                 const processingPayload = {
-                    videoUrl: `https://storage.googleapis.com/${bucket.name}/${filePath}`,
+                    videoUrl: `gs://${bucket.name}/${filePath}`,
                     fileId: fileId,
                     fileName: fileData.originalname,
                     userEmail: email,
                     topic: topic || '',
+                    options: fields,
                     timestamp: new Date().toISOString()
                 };
 
-                // Send to Cloud Run for processing
-                const cloudRunUrl = process.env.CLOUD_RUN_URL || 'https://processdebatevideo-497659694361.us-central1.run.app/processDebateVideo';
-                
-                console.log('Triggering video processing at:', cloudRunUrl);
-                
-                const processingResponse = await fetch(cloudRunUrl, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify(processingPayload)
-                });
+                if (!(await inspectUpload(file, processingPayload, res))) return;
 
-                if (!processingResponse.ok) {
-                    console.error('Processing trigger failed:', await processingResponse.text());
-                } else {
-                    console.log('Video processing triggered successfully');
-                }
+                // Send to Cloud Run for processing
+                const processing = await triggerProcessing(processingPayload);
 
                 res.status(200).json({
                     success: true,
-                    message: 'Video uploaded successfully and processing started',
+                    message: processing.triggered ? 'Video uploaded successfully and processing started' : 'Video uploaded, but processing could not be started',
                     fileId: fileId,
                     fileName: fileData.originalname,
                     fileSize: fileData.size,
-                    processingTriggered: processingResponse.ok
+                    processingTriggered: processing.triggered,
+                    jobId: processing.jobId,
+                    statusUrl: processing.statusUrl,
+                    processingError: processing.error || null
                 });
 
             } catch (uploadError) {
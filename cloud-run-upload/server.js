@@ -11,6 +11,7 @@ const port = process.env.PORT || 8080;
 // Initialize Cloud Storage
 const storage = new Storage();
 const bucket = storage.bucket(process.env.UPLOAD_BUCKET || 'ai-debate-uploads');
+const CLOUD_RUN_URL = process.env.CLOUD_RUN_URL || 'https://processdebatevideo-497659694361.us-central1.run.app/processDebateVideo';
 
 // Configure CORS
 app.use(cors({
@@ -20,6 +21,58 @@ app.use(cors({
     credentials: true
 }));
 
+// The processor's reason for rejecting a request, to pass on to the client: the error and code
+// from its JSON body, or the response text
+function processingErrorFrom(status, text) {
+    let body = null;
+    try {
+        body = JSON.parse(text);
+    } catch (error) {
+        body = null;
+    }
+    return {
+        status: status,
+        error: (body && body.error) || text.substring(0, 500) || `Processor returned ${status}`,
+        code: (body && body.code) || null
+    };
+}
+
+// Have the video processor inspect a stored upload. If it could not process the video, the
+// upload is deleted and the response is 400 with the inspection's error code. Resolves to
+// whether the upload was accepted; when the processor cannot be reached it is, as the job's
+// inspect step checks it again.
+async function inspectUpload(file, processingPayload, res) {
+    const inspectUrl = new URL(`/uploads/${processingPayload.fileId}/inspect`, CLOUD_RUN_URL).href;
+    let response;
+    try {
+        response = await fetch(inspectUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ videoUrl: processingPayload.videoUrl, fileName: processingPayload.fileName })
+        });
+    } catch (error) {
+        console.error('Upload inspection failed:', error.message);
+        return true;
+    }
+
+    if (response.status !== 400) {
+        if (!response.ok) console.error('Upload inspection failed:', response.status, await response.text());
+        return true;
+    }
+
+    const rejection = processingErrorFrom(response.status, await response.text());
+    console.log(`Upload rejected (${rejection.code}):`, rejection.error);
+    await file.delete().catch(err => console.log('Error deleting rejected upload:', err));
+    res.status(400).json({
+        success: false,
+        error: rejection.error,
+        code: rejection.code
+    });
+    return false;
+}
+
 // Configure multer for memory storage
 const upload = multer({
     storage: multer.memoryStorage(),
@@ -55,7 +108,8 @@ app.post('/upload', upload.single('video'), async (req, res) => {
             });
         }
 
-        const { email, topic } = req.body;
+        // The other fields are processing options, which the video processor picks out
+        const { email, topic, ...processingOptions } = req.body;
 
         if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
             return res.status(400).json({
@@ -76,7 +130,8 @@ app.post('/upload', upload.single('video'), async (req, res) => {
             filePath: filePath,
             size: req.file.size,
             email: email,
-            topic: topic
+            topic: topic,
+            processingOptions: processingOptions
         });
 
         // Upload to Cloud Storage
@@ -94,27 +149,25 @@ app.post('/upload', upload.single('video'), async (req, res) => {
             }
         });
 
-        // Make file publicly readable (for processing)
-        await file.makePublic();
-
         console.log('File uploaded successfully to Cloud Storage');
 
         // Trigger video processing
         const processingPayload = {
-            videoUrl: `https://storage.googleapis.com/${bucket.name}/${filePath}`,
+            videoUrl: `gs://${bucket.name}/${filePath}`,
             fileId: fileId,
             fileName: req.file.originalname,
             userEmail: email,
             topic: topic || '',
+            options: processingOptions,
             timestamp: new Date().toISOString()
         };
 
+        if (!(await inspectUpload(file, processingPayload, res))) return;
+
         // Send to Cloud Run for processing
-        const cloudRunUrl = process.env.CLOUD_RUN_URL || 'https://processdebatevideo-497659694361.us-central1.run.app/processDebateVideo';
-        
-        console.log('Triggering video processing at:', cloudRunUrl);
+        console.log('Triggering video processing at:', CLOUD_RUN_URL);
         
-        const processingResponse = await fetch(cloudRunUrl, {
+        const processingResponse = await fetch(CLOUD_RUN_URL, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -122,21 +175,28 @@ app.post('/upload', upload.single('video'), async (req, res) => {
             body: JSON.stringify(processingPayload)
         });
 
+        let processingJob = null;
+        let processingError = null;
         if (!processingResponse.ok) {
-            console.error('Processing trigger failed:', await processingResponse.text());
-            // Don't fail the upload, just log the error
-            // The processing can be retried later
+            // Don't fail the upload, which is stored; tell the client why processing did not start
+            const errorText = await processingResponse.text();
+            console.error('Processing trigger failed:', errorText);
+            processingError = processingErrorFrom(processingResponse.status, errorText);
         } else {
-            console.log('Video processing triggered successfully');
+            processingJob = await processingResponse.json();
+            console.log('Video processing queued as job:', processingJob.jobId);
         }
 
         res.status(200).json({
             success: true,
-            message: 'Video uploaded successfully and processing started',
+            message: processingResponse.ok ? 'Video uploaded successfully and processing started' : 'Video uploaded, but processing could not be started',
             fileId: fileId,
             fileName: req.file.originalname,
             fileSize: req.file.size,
-            processingTriggered: processingResponse.ok
+            processingTriggered: processingResponse.ok,
+            jobId: processingJob ? processingJob.jobId : null,
+            statusUrl: processingJob ? new URL(processingJob.statusUrl, CLOUD_RUN_URL).href : null,
+            processingError: processingError
         });
 
     } catch (error) {
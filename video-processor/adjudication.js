@@ -0,0 +1,204 @@
+const fs = require('fs');
+const { generateValidatedJson, validateJson } = require('./structured-output');
+const { timestampedTranscript } = require('./arguments');
+const { resolveLanguage } = require('./languages');
+
+// AI adjudication. The model judges the round like a tournament judge: a decision, a reason
+// for decision (RFD), a score per rubric criterion for each speaker and written feedback.
+// Speaker points are the weighted mean of the criterion scores on the format's point scale.
+
+const DEFAULT_CRITERIA = [
+    { id: 'argumentation', name: 'Argumentation', weight: 0.4, description: 'Quality of claims, warrants and evidence' },
+    { id: 'refutation', name: 'Refutation', weight: 0.3, description: 'Engagement with and answers to the opposing arguments' },
+    { id: 'delivery', name: 'Delivery', weight: 0.2, description: 'Clarity, pace, organisation and persuasiveness' },
+    { id: 'strategy', name: 'Strategy', weight: 0.1, description: 'Prioritisation, weighing and time allocation' }
+];
+
+const RUBRIC_SCHEMA = {
+    type: 'object',
+    required: ['criteria'],
+    properties: {
+        name: { type: 'string' },
+        scale: {
+            type: 'object',
+            required: ['min', 'max'],
+            properties: {
+                min: { type: 'number' },
+                max: { type: 'number' },
+                step: { type: 'number', exclusiveMinimum: 0 }
+            }
+        },
+        criteria: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['id', 'name', 'weight'],
+                properties: {
+                    id: { type: 'string', pattern: '^[A-Za-z0-9_]+$' },
+                    name: { type: 'string', minLength: 1 },
+                    weight: { type: 'number', exclusiveMinimum: 0 },
+                    description: { type: 'string' }
+                }
+            }
+        }
+    }
+};
+
+// Resolve the rubric for a ballot: the request's rubric (object or JSON string), else the
+// BALLOT_RUBRIC_FILE rubric, else the default criteria. The format's point scale applies
+// unless the rubric sets its own.
+function resolveRubric(rubric, profile) {
+    let custom = rubric;
+    if (!custom && process.env.BALLOT_RUBRIC_FILE) {
+        custom = fs.readFileSync(process.env.BALLOT_RUBRIC_FILE, 'utf8');
+    }
+    if (typeof custom === 'string') {
+        try {
+            custom = JSON.parse(custom);
+        } catch (error) {
+            throw new Error(`Rubric is not valid JSON: ${error.message}`);
+        }
+    }
+
+    const resolved = custom || { name: 'Default rubric', criteria: DEFAULT_CRITERIA };
+    const error = validateJson(RUBRIC_SCHEMA, resolved);
+    if (error) {
+        throw new Error(`Invalid rubric: ${error}`);
+    }
+
+    const scale = { step: 0.1, ...(resolved.scale || profile.speakerPoints) };
+    if (scale.min >= scale.max) {
+        throw new Error('Invalid rubric: scale min must be below max');
+    }
+    const ids = resolved.criteria.map(criterion => criterion.id);
+    if (new Set(ids).size !== ids.length) {
+        throw new Error('Invalid rubric: criterion ids must be unique');
+    }
+
+    return {
+        name: resolved.name || 'Custom rubric',
+        scale,
+        criteria: resolved.criteria
+    };
+}
+
+function ballotSchema(rubric) {
+    const score = { type: 'number', minimum: rubric.scale.min, maximum: rubric.scale.max };
+    const notes = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+    return {
+        type: 'object',
+        required: ['decision', 'reasonForDecision', 'speakers'],
+        properties: {
+            decision: {
+                type: 'object',
+                required: ['winner', 'summary'],
+                properties: {
+                    winner: { type: 'string', minLength: 1 },
+                    summary: { type: 'string', minLength: 1 }
+                }
+            },
+            reasonForDecision: { type: 'string', minLength: 1 },
+            speakers: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    required: ['name', 'side', 'scores', 'feedback'],
+                    properties: {
+                        name: { type: 'string', minLength: 1 },
+                        side: { type: 'string' },
+                        scores: {
+                            type: 'object',
+                            required: rubric.criteria.map(criterion => criterion.id),
+                            properties: Object.fromEntries(rubric.criteria.map(criterion => [criterion.id, score]))
+                        },
+                        feedback: {
+                            type: 'object',
+                            required: ['strengths', 'improvements'],
+                            properties: {
+                                strengths: notes,
+                                improvements: notes
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    };
+}
+
+// Judge the round in a transcription (and any earlier speeches in its session), writing the
+// ballot in options.language, the resolved response language
+async function adjudicate(transcription, argumentBreakdown, options, generateText) {
+    const { topic, profile, rubric, sessionContext } = options;
+    const language = options.language || resolveLanguage();
+    const schema = ballotSchema(rubric);
+    let prompt = buildPrompt(transcription, argumentBreakdown, { topic, profile, rubric, sessionContext, schema });
+    if (language.code !== 'en') {
+        prompt += `\n\nWrite the decision, the reasonForDecision and the feedback in ${language.name}, keeping the JSON keys in English.`;
+    }
+
+    const ballot = await generateValidatedJson(generateText, prompt, schema, { label: 'Adjudication' });
+
+    for (const speaker of ballot.speakers) {
+        speaker.speakerPoints = speakerPoints(speaker.scores, rubric);
+    }
+
+    return {
+        format: { id: profile.id, name: profile.name, speechRole: profile.roleId },
+        topic: topic || '',
+        rubric: rubric,
+        ...ballot,
+        language: language.code
+    };
+}
+
+function buildPrompt(transcription, argumentBreakdown, options) {
+    const { topic, profile, rubric, sessionContext, schema } = options;
+    const { min, max, step } = rubric.scale;
+    const criteria = rubric.criteria
+        .map(criterion => `- ${criterion.id} (${criterion.name}, weight ${criterion.weight})${criterion.description ? `: ${criterion.description}` : ''}`)
+        .join('\n');
+    const speakers = transcription.diarization.speakers.map(speaker => speaker.name).join(', ');
+    const historyNote = sessionContext
+        ? `\nEarlier speeches in this round (oldest first):\n${sessionContext}\n`
+        : '';
+
+    return `You are an experienced ${profile.name} judge. Adjudicate the following round and write a ballot.
+
+Topic: ${topic || 'General debate'}
+The latest speech is the ${profile.role.name}.
+${historyNote}
+Latest speech, split into lines that start with their time in seconds and the speaker:
+${timestampedTranscript(transcription)}
+
+Argument outline of the latest speech:
+${JSON.stringify(argumentBreakdown.contentions)}
+
+Speakers in the latest speech: ${speakers}
+
+Score every speaker on each criterion from ${min} to ${max} in steps of ${step}:
+${criteria}
+
+Reply with only JSON (no markdown) matching this JSON schema:
+${JSON.stringify(schema)}
+
+The decision names the winning side or speaker; if only one side was heard, decide whether the speech would carry the round against a competent opponent. The reasonForDecision explains the decision by weighing the key clashes, citing moments from the speeches. Give each speaker concrete strengths and improvements.`;
+}
+
+// Weighted mean of the criterion scores, rounded to the scale step
+function speakerPoints(scores, rubric) {
+    const totalWeight = rubric.criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+    const weighted = rubric.criteria.reduce((sum, criterion) => sum + scores[criterion.id] * criterion.weight, 0) / totalWeight;
+    const { min, max, step } = rubric.scale;
+    const rounded = min + Math.round((weighted - min) / step) * step;
+    return Number(Math.min(Math.max(rounded, min), max).toFixed(2));
+}
+
+module.exports = {
+    DEFAULT_CRITERIA,
+    resolveRubric,
+    adjudicate
+};
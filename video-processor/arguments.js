@@ -0,0 +1,133 @@
+const { generateValidatedJson } = require('./structured-output');
+
+// Structured argument extraction. The model is asked for JSON matching ARGUMENT_SCHEMA and
+// malformed output is retried. Every item carries start/end times (seconds) into the transcript.
+
+const MAX_ATTEMPTS = parseInt(process.env.ARGUMENT_EXTRACTION_ATTEMPTS || '3', 10);
+
+const timedItem = {
+    type: 'object',
+    required: ['text', 'start', 'end'],
+    properties: {
+        text: { type: 'string', minLength: 1 },
+        start: { type: 'number', minimum: 0 },
+        end: { type: 'number', minimum: 0 }
+    }
+};
+
+const ARGUMENT_SCHEMA = {
+    type: 'object',
+    required: ['contentions'],
+    additionalProperties: false,
+    properties: {
+        contentions: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['title', 'speaker', 'start', 'end', 'claims'],
+                properties: {
+                    title: { type: 'string', minLength: 1 },
+                    speaker: { type: 'string' },
+                    start: { type: 'number', minimum: 0 },
+                    end: { type: 'number', minimum: 0 },
+                    claims: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['text', 'start', 'end', 'warrants', 'evidence', 'impacts'],
+                            properties: {
+                                text: { type: 'string', minLength: 1 },
+                                start: { type: 'number', minimum: 0 },
+                                end: { type: 'number', minimum: 0 },
+                                warrants: { type: 'array', items: timedItem },
+                                evidence: {
+                                    type: 'array',
+                                    items: {
+                                        ...timedItem,
+                                        properties: {
+                                            ...timedItem.properties,
+                                            source: { type: ['string', 'null'] }
+                                        }
+                                    }
+                                },
+                                impacts: { type: 'array', items: timedItem }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+// Extract contentions, claims, warrants, evidence and impacts from a transcription
+async function extractArguments(transcription, topic, generateText) {
+    const breakdown = await generateValidatedJson(generateText, buildPrompt(transcription, topic), ARGUMENT_SCHEMA, {
+        label: 'Argument extraction',
+        attempts: MAX_ATTEMPTS
+    });
+    clampTimes(breakdown, transcription);
+    return breakdown;
+}
+
+function buildPrompt(transcription, topic) {
+    return `You are an expert debate judge. Break the following debate speech down into its argument structure.
+
+Topic: ${topic || 'General debate'}
+
+The transcript is split into lines that start with their time in seconds and the speaker:
+${timestampedTranscript(transcription)}
+
+Reply with only JSON (no markdown) matching this JSON schema:
+${JSON.stringify(ARGUMENT_SCHEMA)}
+
+List each contention with its claims. For each claim list the warrants (reasoning), evidence (facts, statistics or quoted sources, with the source if one is named) and impacts (why it matters). Use the line times to set start and end for every item. Use empty arrays when a claim has no warrants, evidence or impacts.`;
+}
+
+// Render the transcript as short timestamped lines the model can cite
+function timestampedTranscript(transcription) {
+    const lines = [];
+    for (const segment of transcription.diarization.segments) {
+        const words = transcription.words.filter(word => word.start >= segment.start && word.end <= segment.end);
+        let line = [];
+        for (const word of words) {
+            line.push(word);
+            if (line.length >= 20 || /[.!?]$/.test(word.word)) {
+                lines.push(formatLine(segment.name, line));
+                line = [];
+            }
+        }
+        if (line.length > 0) lines.push(formatLine(segment.name, line));
+    }
+    return lines.join('\n');
+}
+
+function formatLine(speaker, words) {
+    const start = words[0].start.toFixed(1);
+    const end = words[words.length - 1].end.toFixed(1);
+    return `[${start}-${end}] ${speaker}: ${words.map(word => word.word).join(' ')}`;
+}
+
+// Keep model-reported times inside the recording
+function clampTimes(breakdown, transcription) {
+    const words = transcription.words;
+    const duration = words.length > 0 ? words[words.length - 1].end : 0;
+    const clamp = item => {
+        item.start = Math.min(Math.max(item.start, 0), duration);
+        item.end = Math.min(Math.max(item.end, item.start), duration);
+    };
+
+    for (const contention of breakdown.contentions) {
+        clamp(contention);
+        for (const claim of contention.claims) {
+            clamp(claim);
+            [...claim.warrants, ...claim.evidence, ...claim.impacts].forEach(clamp);
+        }
+    }
+}
+
+module.exports = {
+    ARGUMENT_SCHEMA,
+    extractArguments,
+    timestampedTranscript
+};
@@ -0,0 +1,143 @@
+const fs = require('fs').promises;
+const { stepsForMode } = require('./jobs');
+
+// Step outputs are checkpointed as named artifacts under artifacts/<fileId>/ in the upload
+// bucket. A retried job restores them instead of re-running the steps that produced them.
+//
+// type 'json' and 'text' artifacts hold the step's return value; type 'file' artifacts hold
+// the file at the returned local path and are restored to that same path. A file step may
+// instead return { path, ...details }; the details are kept in a JSON sidecar. Artifacts
+// with a mode belong only to that processing mode.
+
+const ARTIFACTS = {
+    inspection: { step: 'inspect', object: 'inspection.json', type: 'json' },
+    transcript: { step: 'transcribe', object: 'transcript.json', type: 'json' },
+    arguments: { step: 'arguments', object: 'arguments.json', type: 'json' },
+    factCheck: { step: 'factcheck', object: 'factcheck.json', type: 'json', mode: 'respond' },
+    response: { step: 'generate', object: 'response.txt', type: 'text', mode: 'respond' },
+    audio: { step: 'voice', object: 'audio.wav', type: 'file', localName: 'response.wav', contentType: 'audio/wav', mode: 'respond' },
+    captions: { step: 'captions', object: 'captions.mp4', type: 'file', localName: 'captions.mp4', contentType: 'video/mp4', mode: 'respond' },
+    final: { step: 'combine', object: 'final.mp4', type: 'file', localName: 'final.mp4', contentType: 'video/mp4', mode: 'respond' },
+    renditions: { step: 'renditions', object: 'renditions.json', type: 'json', mode: 'respond' },
+    previews: { step: 'previews', object: 'previews.json', type: 'json', mode: 'respond' },
+    upload: { step: 'upload', object: 'upload.json', type: 'json', mode: 'respond' },
+    ballot: { step: 'adjudicate', object: 'ballot.json', type: 'json', mode: 'adjudicate' },
+    ballotUpload: { step: 'upload', object: 'ballot_upload.json', type: 'json', mode: 'adjudicate' }
+};
+
+function createArtifactStore(bucket) {
+    function artifactFile(fileId, name) {
+        return bucket.file(`artifacts/${fileId}/${ARTIFACTS[name].object}`);
+    }
+
+    function sidecarFile(fileId, name) {
+        return bucket.file(`artifacts/${fileId}/${ARTIFACTS[name].object}.json`);
+    }
+
+    function localPath(fileId, name) {
+        return `/tmp/${fileId}_${ARTIFACTS[name].localName}`;
+    }
+
+    // Save a step's output; file artifacts are uploaded from the returned local path
+    async function save(fileId, name, value) {
+        const artifact = ARTIFACTS[name];
+        const file = artifactFile(fileId, name);
+
+        if (artifact.type === 'file') {
+            const filePath = typeof value === 'string' ? value : value.path;
+            await file.save(await fs.readFile(filePath), {
+                metadata: { contentType: artifact.contentType }
+            });
+            if (typeof value !== 'string') {
+                await sidecarFile(fileId, name).save(JSON.stringify(value), {
+                    resumable: false,
+                    metadata: { contentType: 'application/json' }
+                });
+            }
+        } else if (artifact.type === 'json') {
+            await file.save(JSON.stringify(value), {
+                resumable: false,
+                metadata: { contentType: 'application/json' }
+            });
+        } else {
+            await file.save(value, {
+                resumable: false,
+                metadata: { contentType: 'text/plain; charset=utf-8' }
+            });
+        }
+        console.log(`Saved artifact ${name} for ${fileId}`);
+    }
+
+    // Restore a saved artifact, or return null if the step has not completed yet
+    async function load(fileId, name) {
+        const artifact = ARTIFACTS[name];
+        const file = artifactFile(fileId, name);
+
+        const [exists] = await file.exists();
+        if (!exists) return null;
+
+        if (artifact.type === 'file') {
+            const destination = localPath(fileId, name);
+            const present = await fs.access(destination).then(() => true, () => false);
+            if (!present) {
+                await file.download({ destination });
+            }
+
+            const [hasSidecar] = await sidecarFile(fileId, name).exists();
+            if (!hasSidecar) return destination;
+            const [details] = await sidecarFile(fileId, name).download();
+            return { ...JSON.parse(details.toString('utf8')), path: destination };
+        }
+
+        const [contents] = await file.download();
+        return artifact.type === 'json'
+            ? JSON.parse(contents.toString('utf8'))
+            : contents.toString('utf8');
+    }
+
+    // Copy the saved artifacts of one run to another, e.g. an upload's transcript to a new
+    // version of its processing
+    async function copy(fromId, toId, names) {
+        for (const name of names) {
+            const [exists] = await artifactFile(fromId, name).exists();
+            if (!exists) continue;
+            await artifactFile(fromId, name).copy(artifactFile(toId, name));
+            if (ARTIFACTS[name].type === 'file') {
+                const [hasSidecar] = await sidecarFile(fromId, name).exists();
+                if (hasSidecar) await sidecarFile(fromId, name).copy(sidecarFile(toId, name));
+            }
+        }
+    }
+
+    // Delete the artifacts of a step and every later step of the mode
+    async function invalidateFrom(fileId, step, mode = 'respond') {
+        const steps = stepsForMode(mode);
+        const fromIndex = steps.indexOf(step);
+        if (fromIndex === -1) {
+            throw new Error(`Unknown step for ${mode} mode: ${step}`);
+        }
+
+        const names = Object.keys(ARTIFACTS)
+            .filter(name => !ARTIFACTS[name].mode || ARTIFACTS[name].mode === mode)
+            .filter(name => steps.indexOf(ARTIFACTS[name].step) >= fromIndex);
+        for (const name of names) {
+            await artifactFile(fileId, name).delete({ ignoreNotFound: true });
+            if (ARTIFACTS[name].type === 'file') {
+                await sidecarFile(fileId, name).delete({ ignoreNotFound: true });
+            }
+        }
+        console.log(`Invalidated artifacts from step ${step} for ${fileId}:`, names.join(', '));
+    }
+
+    return {
+        save,
+        load,
+        copy,
+        invalidateFrom
+    };
+}
+
+module.exports = {
+    ARTIFACTS,
+    createArtifactStore
+};
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const { resolveLanguage } = require('./languages');
+
+// Printable renderings of an adjudication ballot, in the language it was written in. PDFKit's
+// built-in Helvetica only covers Western European text, so the PDF embeds the font file of the
+// language's script, or DejaVu Sans (Latin, Greek and Cyrillic) for scripts set in a system font.
+
+const DEFAULT_FONT_FILE = '/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf';
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function renderBallotHtml(ballot) {
+    // Ballots checkpointed before they recorded a language are in the default one
+    const language = resolveLanguage(ballot.language);
+    const criteria = ballot.rubric.criteria;
+    const headers = criteria.map(criterion => `<th>${escapeHtml(criterion.name)}</th>`).join('');
+    const rows = ballot.speakers.map(speaker => `
+        <tr>
+            <td>${escapeHtml(speaker.name)}</td>
+            <td>${escapeHtml(speaker.side)}</td>
+            ${criteria.map(criterion => `<td>${speaker.scores[criterion.id]}</td>`).join('')}
+            <td><strong>${speaker.speakerPoints}</strong></td>
+        </tr>`).join('');
+    const feedback = ballot.speakers.map(speaker => `
+        <h3>${escapeHtml(speaker.name)}</h3>
+        <h4>Strengths</h4>
+        <ul>${speaker.feedback.strengths.map(note => `<li>${escapeHtml(note)}</li>`).join('')}</ul>
+        <h4>To improve</h4>
+        <ul>${speaker.feedback.improvements.map(note => `<li>${escapeHtml(note)}</li>`).join('')}</ul>`).join('');
+    const paragraphs = ballot.reasonForDecision.split(/\n\s*\n/)
+        .map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="${language.code}" dir="${language.direction}">
+<head>
+    <meta charset="UTF-8">
+    <title>Ballot - ${escapeHtml(ballot.format.name)}</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; max-width: 800px; margin: 40px auto; color: #333; }
+        h1 { margin-bottom: 4px; }
+        .meta { color: #666; margin-bottom: 24px; }
+        .decision { background: #f0f4ff; border-inline-start: 4px solid #667eea; padding: 12px 16px; }
+        table { border-collapse: collapse; width: 100%; margin: 16px 0; }
+        th, td { border: 1px solid #ddd; padding: 8px; text-align: start; }
+        th { background: #f5f5f5; }
+    </style>
+</head>
+<body>
+    <h1>Ballot</h1>
+    <div class="meta">${escapeHtml(ballot.format.name)}${ballot.topic ? ` &middot; ${escapeHtml(ballot.topic)}` : ''} &middot; ${escapeHtml(ballot.rubric.name)}</div>
+    <div class="decision">
+        <strong>Decision: ${escapeHtml(ballot.decision.winner)}</strong>
+        <p>${escapeHtml(ballot.decision.summary)}</p>
+    </div>
+    <h2>Reason for Decision</h2>
+    ${paragraphs}
+    <h2>Speaker Points</h2>
+    <table>
+        <tr><th>Speaker</th><th>Side</th>${headers}<th>Points (${ballot.rubric.scale.min}-${ballot.rubric.scale.max})</th></tr>${rows}
+    </table>
+    <h2>Feedback</h2>
+    ${feedback}
+</body>
+</html>
+`;
+}
+
+// The font file and .ttc face for a language's text, or null where none is installed
+function pdfFont(language) {
+    const file = language.fontFile || DEFAULT_FONT_FILE;
+    if (!fs.existsSync(file)) {
+        console.warn(`Font ${file} is not installed; the ballot PDF uses Helvetica, which only covers Western European text`);
+        return null;
+    }
+    return { file, face: language.fontFile ? language.fontFace : undefined };
+}
+
+// Write the ballot as a PDF to outputPath
+function renderBallotPdf(ballot, outputPath) {
+    return new Promise((resolve, reject) => {
+        const language = resolveLanguage(ballot.language);
+        const font = pdfFont(language);
+        const doc = new PDFDocument({ size: 'A4', margin: 50 });
+        const stream = fs.createWriteStream(outputPath);
+        stream.on('finish', () => resolve(outputPath));
+        stream.on('error', reject);
+        doc.on('error', reject);
+        doc.pipe(stream);
+
+        if (font) doc.font(font.file, font.face);
+        // Right-to-left lines are set flush right; fontkit orders the glyphs of each line
+        const align = language.direction === 'rtl' ? 'right' : 'left';
+
+        doc.fontSize(22).text('Ballot', { align });
+        doc.fontSize(10).fillColor('#666')
+            .text([ballot.format.name, ballot.topic, ballot.rubric.name].filter(Boolean).join(' - '), { align });
+        doc.moveDown().fillColor('#000');
+
+        doc.fontSize(14).text(`Decision: ${ballot.decision.winner}`, { align });
+        doc.fontSize(11).text(ballot.decision.summary, { align });
+        doc.moveDown();
+
+        doc.fontSize(14).text('Reason for Decision', { align });
+        doc.fontSize(11).text(ballot.reasonForDecision, { align });
+        doc.moveDown();
+
+        doc.fontSize(14).text(`Speaker Points (${ballot.rubric.scale.min}-${ballot.rubric.scale.max})`, { align });
+        for (const speaker of ballot.speakers) {
+            const scores = ballot.rubric.criteria
+                .map(criterion => `${criterion.name} ${speaker.scores[criterion.id]}`)
+                .join(', ');
+            doc.fontSize(11).text(`${speaker.name}${speaker.side ? ` (${speaker.side})` : ''}: ${speaker.speakerPoints}`, { continued: false, align });
+            doc.fontSize(9).fillColor('#666').text(scores, { align }).fillColor('#000');
+        }
+        doc.moveDown();
+
+        doc.fontSize(14).text('Feedback', { align });
+        for (const speaker of ballot.speakers) {
+            doc.moveDown(0.5).fontSize(12).text(speaker.name, { align });
+            doc.fontSize(11).text('Strengths:', { align });
+            doc.list(speaker.feedback.strengths, { bulletRadius: 2, align });
+            doc.text('To improve:', { align });
+            doc.list(speaker.feedback.improvements, { bulletRadius: 2, align });
+        }
+
+        doc.end();
+    });
+}
+
+module.exports = {
+    renderBallotHtml,
+    renderBallotPdf
+};
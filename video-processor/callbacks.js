@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Webhook callbacks. A job queued with a callbackUrl POSTs a JSON event there once it has
+// completed or failed. Each request is signed: X-Debate-Timestamp holds the Unix time in
+// seconds and X-Debate-Signature is "sha256=" followed by the hex HMAC-SHA256 of
+// "<timestamp>.<body>" keyed with CALLBACK_SIGNING_SECRET. Receivers should recompute it and
+// reject old timestamps. Failed requests are retried with exponential backoff; X-Debate-Event-Id
+// stays the same across attempts so receivers can drop duplicates.
+
+const SIGNING_SECRET = process.env.CALLBACK_SIGNING_SECRET || '';
+const MAX_ATTEMPTS = parseInt(process.env.CALLBACK_MAX_ATTEMPTS || '6', 10);
+const RETRY_DELAY_MS = parseInt(process.env.CALLBACK_RETRY_DELAY_MS || '5000', 10);
+const REQUEST_TIMEOUT_MS = parseInt(process.env.CALLBACK_TIMEOUT_MS || '10000', 10);
+// Allows http:// and local or private hosts, for receivers on a development machine
+const ALLOW_INSECURE = process.env.CALLBACK_ALLOW_INSECURE === 'true';
+
+const BLOCKED_HOSTS = ['localhost', 'metadata', 'metadata.google.internal'];
+
+// Check a callback URL when the job is queued, throwing if it cannot be used. The host is checked
+// again when the event is sent, against every address it resolves to then.
+function validateCallbackUrl(value) {
+    if (!SIGNING_SECRET) {
+        throw new Error('Callbacks are not enabled on this service: CALLBACK_SIGNING_SECRET is not set');
+    }
+
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        throw new Error(`Invalid callbackUrl: ${value}`);
+    }
+    if (url.protocol !== 'https:' && !(ALLOW_INSECURE && url.protocol === 'http:')) {
+        throw new Error('callbackUrl must be an https URL');
+    }
+    if (url.username || url.password) {
+        throw new Error('callbackUrl must not contain credentials');
+    }
+    if (!ALLOW_INSECURE && isInternalHost(url.hostname)) {
+        throw new Error('callbackUrl must be a public host');
+    }
+    return url.href;
+}
+
+// Local, private, link-local (including the metadata server's 169.254.169.254), multicast and
+// reserved addresses, IPv4-mapped and NAT64 (64:ff9b::/96, 64:ff9b:1::/48) addresses, which can
+// reach IPv4 hosts, and the names of local and metadata hosts
+function isInternalHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (BLOCKED_HOSTS.includes(host) || host.endsWith('.localhost') || host.endsWith('.internal')) return true;
+
+    if (net.isIPv4(host)) {
+        const [a, b] = host.split('.').map(Number);
+        return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) || a >= 224 ||
+            (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127);
+    }
+    if (net.isIPv6(host)) {
+        return host === '::1' || host === '::' || /^f[cd]/.test(host) || /^fe[89ab]/.test(host) || /^ff/.test(host) ||
+            host.startsWith('::ffff:') || host.startsWith('64:ff9b:');
+    }
+    return false;
+}
+
+// dns.lookup for callback requests: every address the host resolves to must be public, and the
+// connection is made to those checked addresses rather than to a second lookup's answer, which
+// could differ (DNS rebinding)
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        const internal = addresses.find(entry => isInternalHost(entry.address));
+        if (internal) {
+            const blocked = new Error(`${hostname} resolves to an internal address (${internal.address})`);
+            blocked.code = 'callback_host_blocked';
+            return callback(blocked);
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+function signPayload(body, timestamp, secret = SIGNING_SECRET) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// POST an event to a callback URL, retrying failures with exponential backoff. Never throws:
+// resolves to the delivery record { status: 'sent' | 'failed', url, event, eventId, sentAt,
+// attempts: [{ at, status, error, durationMs }] }. options.onAttempt(delivery) is called
+// after every attempt so each one can be recorded as it happens.
+async function deliverCallback(url, event, options = {}) {
+    const maxAttempts = options.maxAttempts || MAX_ATTEMPTS;
+    const body = JSON.stringify(event);
+    const delivery = {
+        status: 'sending',
+        url: url,
+        event: event.event,
+        eventId: event.eventId,
+        sentAt: null,
+        attempts: []
+    };
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const outcome = await postEvent(url, event, body);
+        delivery.attempts.push(outcome.record);
+
+        if (outcome.ok) {
+            delivery.status = 'sent';
+            delivery.sentAt = outcome.record.at;
+            console.log(`Callback ${event.eventId} delivered to ${url}`);
+        } else {
+            console.error(`Callback attempt ${attempt} of ${maxAttempts} to ${url} failed:`, outcome.record.error);
+            if (!outcome.retryable || attempt === maxAttempts) delivery.status = 'failed';
+        }
+        if (options.onAttempt) {
+            await Promise.resolve(options.onAttempt(delivery)).catch(error => console.error('Failed to record callback attempt:', error.message));
+        }
+        if (delivery.status !== 'sending') break;
+        await sleep(RETRY_DELAY_MS * 2 ** (attempt - 1));
+    }
+    return delivery;
+}
+
+// Make one signed request. Redirects are not followed, so the event only goes to the URL given.
+async function postEvent(url, event, body) {
+    const at = new Date().toISOString();
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+
+    let status;
+    try {
+        status = await sendRequest(new URL(url), {
+            'Content-Type': 'application/json',
+            'User-Agent': 'ai-debate-video-processor',
+            'X-Debate-Event': event.event,
+            'X-Debate-Event-Id': event.eventId,
+            'X-Debate-Timestamp': String(timestamp),
+            'X-Debate-Signature': `sha256=${signPayload(body, timestamp)}`
+        }, body);
+    } catch (error) {
+        return {
+            ok: false,
+            // A host that resolves to an internal address is not sent to again
+            retryable: error.code !== 'callback_host_blocked',
+            record: { at, status: null, error: `Request failed: ${error.message}`, durationMs: Date.now() - started }
+        };
+    }
+
+    const ok = status >= 200 && status < 300;
+    return {
+        ok: ok,
+        // Client errors other than timeouts and rate limits will fail the same way again
+        retryable: status >= 500 || status === 408 || status === 429,
+        record: { at, status: status, error: ok ? null : `Receiver returned ${status}`, durationMs: Date.now() - started }
+    };
+}
+
+// POST body to url, resolving to the response status once the response has been read. Unless
+// ALLOW_INSECURE is set, the request only connects to public addresses (see publicLookup).
+function sendRequest(url, headers, body) {
+    return new Promise((resolve, reject) => {
+        if (!ALLOW_INSECURE && isInternalHost(url.hostname)) {
+            const blocked = new Error(`${url.hostname} is an internal host`);
+            blocked.code = 'callback_host_blocked';
+            reject(blocked);
+            return;
+        }
+
+        const client = url.protocol === 'https:' ? https : http;
+        const request = client.request(url, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup: ALLOW_INSECURE ? undefined : publicLookup
+        }, response => {
+            // Drain the body so the connection is released
+            response.resume();
+            response.on('end', () => resolve(response.statusCode));
+            response.on('error', reject);
+        });
+        const timer = setTimeout(() => request.destroy(new Error(`timed out after ${REQUEST_TIMEOUT_MS}ms`)), REQUEST_TIMEOUT_MS);
+        request.on('error', reject);
+        request.on('close', () => clearTimeout(timer));
+        request.end(body);
+    });
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    validateCallbackUrl,
+    isInternalHost,
+    publicLookup,
+    signPayload,
+    deliverCallback
+};
@@ -0,0 +1,130 @@
+const { splitWords, joinWords, textWidth, wrapLines } = require('./text');
+
+// Caption cues timed from the voice-over. A cue is { start, end, text, lines } with times in
+// seconds; long sentences are split into several cues of at most two lines each. Lines of
+// right-to-left captions start with a right-to-left mark, so players and libass lay them out
+// right to left even when they open with a number or a Latin word.
+
+const MAX_LINE_CHARS = 42;
+const MAX_CUE_LINES = 2;
+const MAX_CUE_DURATION = 7;
+const RTL_MARK = '\u200F';
+
+// Build caption cues from the voice-over's word timings, or its sentence timings if the
+// TTS engine did not report words
+function buildCues(voiceOver, options = {}) {
+    const maxLineChars = options.maxLineChars || MAX_LINE_CHARS;
+    const maxCueChars = maxLineChars * MAX_CUE_LINES;
+    const layout = { maxLineChars, rtl: options.direction === 'rtl' };
+    const cues = [];
+    let wordIndex = 0;
+
+    for (const sentence of voiceOver.sentences) {
+        const sentenceWords = splitWords(sentence.text);
+
+        if (voiceOver.words) {
+            const timedWords = voiceOver.words.slice(wordIndex, wordIndex + sentenceWords.length);
+            wordIndex += sentenceWords.length;
+            for (const chunk of chunkWords(timedWords.map(w => w.word), maxCueChars)) {
+                const first = timedWords[chunk.from];
+                const last = timedWords[chunk.to - 1];
+                pushCues(cues, chunk.words, first.start, last.end, layout);
+            }
+        } else {
+            // Share the sentence's time between its chunks by character count
+            const chunks = chunkWords(sentenceWords, maxCueChars);
+            const totalChars = chunks.reduce((sum, chunk) => sum + textWidth(chunk.text), 0);
+            let offset = sentence.start;
+            for (const chunk of chunks) {
+                const duration = (sentence.end - sentence.start) * (textWidth(chunk.text) / totalChars);
+                pushCues(cues, chunk.words, offset, offset + duration, layout);
+                offset += duration;
+            }
+        }
+    }
+
+    // Close small gaps so captions don't flicker between cues
+    for (let i = 0; i < cues.length - 1; i++) {
+        if (cues[i + 1].start - cues[i].end < 0.3) {
+            cues[i].end = cues[i + 1].start;
+        }
+    }
+
+    return cues;
+}
+
+// Split a chunk that would stay on screen too long into evenly timed parts
+function pushCues(cues, words, start, end, layout) {
+    const cue = (partWords, partStart, partEnd) => {
+        const text = joinWords(partWords);
+        const lines = wrapLines(text, layout.maxLineChars, MAX_CUE_LINES);
+        return { start: partStart, end: partEnd, text, lines: layout.rtl ? lines.map(line => RTL_MARK + line) : lines };
+    };
+
+    const parts = Math.ceil((end - start) / MAX_CUE_DURATION);
+    if (parts <= 1) {
+        cues.push(cue(words, start, end));
+        return;
+    }
+
+    const partSize = Math.ceil(words.length / parts);
+    const partDuration = (end - start) / parts;
+    for (let i = 0; i < parts && i * partSize < words.length; i++) {
+        cues.push(cue(words.slice(i * partSize, (i + 1) * partSize), start + i * partDuration, start + (i + 1) * partDuration));
+    }
+}
+
+// Group words into chunks of at most maxChars columns, preferring to break after clause punctuation
+function chunkWords(words, maxChars) {
+    const chunks = [];
+    let from = 0;
+
+    for (let i = 0; i < words.length; i++) {
+        if (i > from && textWidth(joinWords(words.slice(from, i + 1))) > maxChars) {
+            chunks.push(chunk(words, from, i));
+            from = i;
+        }
+
+        const width = textWidth(joinWords(words.slice(from, i + 1)));
+        if (/[,;:\u060C\u3001\uFF0C\uFF1B\uFF1A]$/.test(words[i]) && width > maxChars * 0.6 && i < words.length - 1) {
+            chunks.push(chunk(words, from, i + 1));
+            from = i + 1;
+        }
+    }
+    if (from < words.length) chunks.push(chunk(words, from, words.length));
+    return chunks;
+}
+
+function chunk(words, from, to) {
+    const slice = words.slice(from, to);
+    return { from, to, words: slice, text: joinWords(slice) };
+}
+
+// Render cues as SubRip
+function toSrt(cues) {
+    return cues.map((cue, index) =>
+        `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.lines.join('\n')}\n`
+    ).join('\n');
+}
+
+// Render cues as WebVTT
+function toWebVtt(cues) {
+    return 'WEBVTT\n\n' + cues.map(cue =>
+        `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${cue.lines.join('\n')}\n`
+    ).join('\n');
+}
+
+function formatTimestamp(seconds, separator) {
+    const totalMs = Math.round(seconds * 1000);
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}${separator}${String(ms).padStart(3, '0')}`;
+}
+
+module.exports = {
+    buildCues,
+    toSrt,
+    toWebVtt
+};
@@ -38,11 +38,20 @@ gcloud run deploy $SERVICE_NAME \
     --allow-unauthenticated \
     --memory 4Gi \
     --cpu 2 \
+    --no-cpu-throttling \
     --timeout 3600 \
     --concurrency 10 \
     --max-instances 5 \
     --set-env-vars "UPLOAD_BUCKET=$BUCKET_NAME" \
     --set-env-vars "GEMINI_API_KEY=$GEMINI_API_KEY" \
+    --set-env-vars "LLM_PROVIDER=${LLM_PROVIDER:-gemini}" \
+    --set-env-vars "TRANSCRIPTION_PROVIDER=${TRANSCRIPTION_PROVIDER:-google}" \
+    --set-env-vars "^@^TRANSCRIPTION_ALTERNATIVE_LANGUAGES=${TRANSCRIPTION_ALTERNATIVE_LANGUAGES:-es-ES,fr-FR}" \
+    --set-env-vars "TTS_PROVIDER=${TTS_PROVIDER:-google}" \
+    --set-env-vars "MAIL_TRANSPORT=${MAIL_TRANSPORT:-sendgrid}" \
+    --set-env-vars "SENDGRID_API_KEY=$SENDGRID_API_KEY" \
+    --set-env-vars "CALLBACK_SIGNING_SECRET=$CALLBACK_SIGNING_SECRET" \
+    --set-env-vars "MAIL_FROM=${MAIL_FROM:-AI Debate <noreply@ai-debate.app>}" \
     --set-env-vars "NODE_ENV=production"
 
 # Get the service URL
@@ -52,6 +61,12 @@ echo "✅ Deployment completed successfully!"
 echo "🌐 Service URL: $SERVICE_URL"
 echo "📊 Health check: $SERVICE_URL/"
 
+# Let emails link to the service for results whose signed URLs have expired
+gcloud run services update $SERVICE_NAME \
+    --region $REGION \
+    --update-env-vars "PUBLIC_BASE_URL=$SERVICE_URL" \
+    --quiet
+
 # Update the Cloud Function to use the new service URL
 echo "🔄 Updating Cloud Function with new service URL..."
 
@@ -71,9 +86,10 @@ echo "   - Service Name: $SERVICE_NAME"
 echo "   - Region: $REGION"
 echo "   - URL: $SERVICE_URL"
 echo "   - Processing Endpoint: $SERVICE_URL/processDebateVideo"
+echo "   - Job Status Endpoint: $SERVICE_URL/jobs/<jobId>"
 echo ""
 echo "🔧 Next Steps:"
-echo "   1. Set your GEMINI_API_KEY environment variable"
+echo "   1. Set your GEMINI_API_KEY and SENDGRID_API_KEY environment variables"
 echo "   2. Test the upload and processing workflow"
 echo "   3. Monitor the service logs for any issues"
 echo ""
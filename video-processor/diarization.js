@@ -0,0 +1,150 @@
+const { runCommand } = require('./media');
+
+// Speaker diarization. Providers resolve to speaker turns [{ speaker, start, end }];
+// labelSpeakers() then merges the turns with the transcript words into segments
+// [{ speaker, name, start, end, text }].
+
+const DEFAULT_PROVIDER = process.env.DIARIZATION_PROVIDER || 'transcript';
+
+// Use speaker tags already attached to the words by the transcription provider
+async function transcriptDiarization(audioPath, transcription) {
+    const turns = [];
+    for (const word of transcription.words) {
+        if (word.speaker === undefined) continue;
+        const last = turns[turns.length - 1];
+        if (last && last.speaker === word.speaker) {
+            last.end = word.end;
+        } else {
+            turns.push({ speaker: word.speaker, start: word.start, end: word.end });
+        }
+    }
+    return turns;
+}
+
+// Offline diarization with a local pyannote script that prints RTTM to stdout
+async function pyannoteDiarization(audioPath, transcription, options = {}) {
+    // The command is split on whitespace into the program and its leading arguments
+    const [program, ...commandArgs] = (options.diarizationCommand || process.env.DIARIZATION_COMMAND || 'python3 scripts/diarize.py').trim().split(/\s+/);
+    const speakerArgs = options.maxSpeakers ? ['--max-speakers', String(Number(options.maxSpeakers))] : [];
+
+    const { stdout } = await runCommand(program, [...commandArgs, audioPath, ...speakerArgs], {
+        ...options.media,
+        maxBuffer: 10 * 1024 * 1024
+    });
+    return parseRttm(stdout);
+}
+
+// Treat the whole recording as a single speaker
+async function noDiarization() {
+    return [];
+}
+
+const providers = {
+    transcript: transcriptDiarization,
+    pyannote: pyannoteDiarization,
+    none: noDiarization
+};
+
+// Label transcript segments by speaker with the configured provider
+async function diarize(audioPath, transcription, options = {}) {
+    const providerName = options.provider || DEFAULT_PROVIDER;
+    const provider = providers[providerName];
+    if (!provider) {
+        throw new Error(`Unknown diarization provider: ${providerName}`);
+    }
+
+    console.log(`Diarizing with provider: ${providerName}`);
+    const turns = await provider(audioPath, transcription, options);
+    return labelSpeakers(transcription.words, turns, options.speakerNames);
+}
+
+// Group words into speaker segments, naming speakers in order of first appearance
+function labelSpeakers(words, turns, speakerNames = []) {
+    const names = {};
+    const segments = [];
+
+    for (const word of words) {
+        const midpoint = (word.start + word.end) / 2;
+        const turn = turns.find(t => midpoint >= t.start && midpoint <= t.end)
+            || nearestTurn(turns, midpoint);
+        const speaker = turn ? String(turn.speaker) : '1';
+
+        if (!names[speaker]) {
+            const index = Object.keys(names).length;
+            names[speaker] = speakerNames[index] || `Speaker ${index + 1}`;
+        }
+
+        const last = segments[segments.length - 1];
+        if (last && last.speaker === speaker) {
+            last.end = word.end;
+            last.text += ' ' + word.word;
+        } else {
+            segments.push({
+                speaker: speaker,
+                name: names[speaker],
+                start: word.start,
+                end: word.end,
+                text: word.word
+            });
+        }
+    }
+
+    return {
+        speakers: Object.keys(names).map(speaker => ({ speaker, name: names[speaker] })),
+        segments: segments
+    };
+}
+
+// Render labeled segments as prompt text, e.g. "[0:12-0:45] Alice: ..."
+function formatLabeledTranscript(diarization) {
+    return diarization.segments
+        .map(segment => `[${formatTime(segment.start)}-${formatTime(segment.end)}] ${segment.name}: ${segment.text}`)
+        .join('\n');
+}
+
+// Normalize the speaker names field sent by the upload handlers
+function parseSpeakerNames(value) {
+    if (!value) return [];
+    const names = Array.isArray(value) ? value : String(value).split(',');
+    return names.map(name => String(name).trim()).filter(name => name.length > 0);
+}
+
+function parseRttm(rttm) {
+    // SPEAKER <file> <channel> <start> <duration> <NA> <NA> <speaker> <NA> <NA>
+    return rttm.split('\n')
+        .map(line => line.trim().split(/\s+/))
+        .filter(fields => fields[0] === 'SPEAKER')
+        .map(fields => ({
+            speaker: fields[7],
+            start: parseFloat(fields[3]),
+            end: parseFloat(fields[3]) + parseFloat(fields[4])
+        }))
+        .sort((a, b) => a.start - b.start);
+}
+
+function nearestTurn(turns, time) {
+    let nearest = null;
+    let distance = Infinity;
+    for (const turn of turns) {
+        const d = Math.min(Math.abs(turn.start - time), Math.abs(turn.end - time));
+        if (d < distance) {
+            nearest = turn;
+            distance = d;
+        }
+    }
+    return nearest;
+}
+
+function formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${minutes}:${secs.toString().padStart(2, '0')}`;
+}
+
+module.exports = {
+    diarize,
+    labelSpeakers,
+    formatLabeledTranscript,
+    parseSpeakerNames,
+    providers
+};
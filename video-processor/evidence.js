@@ -0,0 +1,314 @@
+const { v4: uuidv4 } = require('uuid');
+const { validateJson } = require('./structured-output');
+const { tokenize } = require('./text');
+const { createToken, hashToken, tokenMatches } = require('./tokens');
+
+// Evidence libraries are a team's evidence cards { id, tag, quote, source, date }, uploaded as
+// JSON, CSV or Markdown and stored under evidence/ in the upload bucket. Cards are retrieved
+// for a speech with a BM25 index built in memory, so no search service is needed. Creating a
+// library returns an owner token, which is needed to replace it.
+
+const LIBRARY_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+const TOP_K = parseInt(process.env.EVIDENCE_TOP_K || '5', 10);
+
+const CARD_SCHEMA = {
+    type: 'array',
+    minItems: 1,
+    items: {
+        type: 'object',
+        required: ['quote', 'source'],
+        properties: {
+            tag: { type: 'string' },
+            quote: { type: 'string', minLength: 1 },
+            source: { type: 'string', minLength: 1 },
+            date: { type: ['string', 'null'] }
+        }
+    }
+};
+
+// Parse uploaded evidence in the given format into validated cards
+function parseEvidence(content, format) {
+    let cards;
+    if (format === 'json') {
+        const parsed = JSON.parse(content);
+        cards = Array.isArray(parsed) ? parsed : parsed.cards;
+    } else if (format === 'csv') {
+        cards = parseCsvCards(content);
+    } else if (format === 'markdown' || format === 'md') {
+        cards = parseMarkdownCards(content);
+    } else {
+        throw new Error(`Unknown evidence format: ${format}. Expected json, csv or markdown`);
+    }
+
+    const error = validateJson(CARD_SCHEMA, cards);
+    if (error) {
+        throw new Error(`Invalid evidence cards: ${error}`);
+    }
+
+    return cards.map((card, index) => ({
+        id: String(index + 1),
+        tag: (card.tag || '').trim(),
+        quote: card.quote.trim(),
+        source: card.source.trim(),
+        date: card.date ? String(card.date).trim() : null
+    }));
+}
+
+// CSV with a header row naming the tag, quote, source and date columns
+function parseCsvCards(content) {
+    const rows = parseCsv(content).filter(row => row.some(cell => cell.trim() !== ''));
+    if (rows.length < 2) return [];
+
+    const headers = rows[0].map(header => header.trim().toLowerCase());
+    return rows.slice(1).map(row => {
+        const card = {};
+        headers.forEach((header, index) => {
+            if (row[index] !== undefined && row[index] !== '') card[header] = row[index];
+        });
+        return card;
+    });
+}
+
+// RFC 4180 CSV: quoted fields may contain commas, newlines and doubled quotes
+function parseCsv(content) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+// Markdown with one card per heading: the heading is the tag, "Source:" and "Date:" lines
+// give the citation and the remaining text (blockquoted or not) is the quote
+function parseMarkdownCards(content) {
+    const cards = [];
+    let card = null;
+
+    for (const line of content.split(/\r?\n/)) {
+        const heading = /^#{1,6}\s+(.*)$/.exec(line);
+        if (heading) {
+            card = { tag: heading[1].trim(), quote: '' };
+            cards.push(card);
+            continue;
+        }
+        if (!card) continue;
+
+        const meta = /^\s*(?:[-*]\s*)?(?:\*\*)?(source|date)(?:\*\*)?\s*:\s*(?:\*\*)?\s*(.*)$/i.exec(line);
+        if (meta) {
+            card[meta[1].toLowerCase()] = meta[2].trim();
+            continue;
+        }
+
+        const text = line.replace(/^\s*>\s?/, '').trim();
+        if (text) card.quote = card.quote ? `${card.quote} ${text}` : text;
+    }
+
+    return cards;
+}
+
+// BM25 index over each card's tag, quote and source
+function buildIndex(cards) {
+    const documents = cards.map(card => {
+        const terms = new Map();
+        const tokens = tokenize(`${card.tag} ${card.tag} ${card.quote} ${card.source}`);
+        for (const token of tokens) terms.set(token, (terms.get(token) || 0) + 1);
+        return { card, terms, length: tokens.length };
+    });
+
+    const documentFrequency = new Map();
+    for (const document of documents) {
+        for (const term of document.terms.keys()) {
+            documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+        }
+    }
+
+    const averageLength = documents.reduce((sum, document) => sum + document.length, 0) / Math.max(documents.length, 1);
+    return { documents, documentFrequency, averageLength };
+}
+
+// The cards most relevant to the query text, best first
+function searchEvidence(index, query, limit = TOP_K) {
+    const k1 = 1.2;
+    const b = 0.75;
+    const queryTerms = new Set(tokenize(query));
+    const count = index.documents.length;
+
+    return index.documents
+        .map(document => {
+            let score = 0;
+            for (const term of queryTerms) {
+                const frequency = document.terms.get(term);
+                if (!frequency) continue;
+                const df = index.documentFrequency.get(term);
+                const idf = Math.log(1 + (count - df + 0.5) / (df + 0.5));
+                score += idf * (frequency * (k1 + 1)) /
+                    (frequency + k1 * (1 - b + b * document.length / index.averageLength));
+            }
+            return { card: document.card, score };
+        })
+        .filter(result => result.score > 0)
+        .sort((x, y) => y.score - x.score)
+        .slice(0, limit)
+        .map(result => result.card);
+}
+
+function createEvidenceStore(bucket) {
+    // Indexes are rebuilt only when a library changes
+    const indexCache = new Map();
+
+    function libraryFile(libraryId) {
+        return bucket.file(`evidence/${libraryId}.json`);
+    }
+
+    // Load a stored library and the object generation it was read at
+    async function read(libraryId) {
+        const file = libraryFile(libraryId);
+        try {
+            const [contents] = await file.download();
+            const [metadata] = await file.getMetadata();
+            return { stored: JSON.parse(contents.toString('utf8')), generation: metadata.generation };
+        } catch (error) {
+            if (error.code === 404) return { stored: null, generation: 0 };
+            throw error;
+        }
+    }
+
+    // Create a library, or replace one when details.ownerToken is its owner token. A new library
+    // gets an owner token, returned once as ownerToken; only its hash is stored. Resolves to null
+    // if the library exists and the token does not match, including libraries stored before
+    // owner tokens, which cannot be replaced.
+    async function saveLibrary(details, cards) {
+        const libraryId = details.libraryId || uuidv4();
+        const { stored, generation } = await read(libraryId);
+        if (stored && !tokenMatches(details.ownerToken, stored.ownerTokenHash)) return null;
+
+        const ownerToken = stored ? null : createToken();
+        const library = {
+            libraryId: libraryId,
+            name: details.name || '',
+            ownerTokenHash: stored ? stored.ownerTokenHash : hashToken(ownerToken),
+            updatedAt: new Date().toISOString(),
+            cards: cards
+        };
+        try {
+            // Only write if nobody else created or replaced the library since we read it
+            await libraryFile(libraryId).save(JSON.stringify(library, null, 2), {
+                resumable: false,
+                metadata: { contentType: 'application/json' },
+                preconditionOpts: { ifGenerationMatch: generation }
+            });
+        } catch (error) {
+            if (error.code === 412) return null;
+            throw error;
+        }
+        const { ownerTokenHash, ...saved } = library;
+        return { ...saved, ownerToken };
+    }
+
+    // Load a library without its owner token hash, or null if it does not exist
+    async function getLibrary(libraryId) {
+        const { stored } = await read(libraryId);
+        if (!stored) return null;
+        const { ownerTokenHash, ...library } = stored;
+        return library;
+    }
+
+    // Retrieve the cards of a library most relevant to a speech
+    async function retrieve(libraryId, query, limit = TOP_K) {
+        const library = await getLibrary(libraryId);
+        if (!library) {
+            throw new Error(`Evidence library not found: ${libraryId}`);
+        }
+
+        let cached = indexCache.get(libraryId);
+        if (!cached || cached.updatedAt !== library.updatedAt) {
+            cached = { updatedAt: library.updatedAt, index: buildIndex(library.cards) };
+            indexCache.set(libraryId, cached);
+        }
+        return searchEvidence(cached.index, query, limit);
+    }
+
+    return {
+        saveLibrary,
+        getLibrary,
+        retrieve
+    };
+}
+
+// Numbered card list for the prompt, with instructions to cite by number
+function formatEvidenceForPrompt(cards) {
+    if (cards.length === 0) return '';
+    const list = cards
+        .map((card, index) => `[${index + 1}] ${card.tag ? `${card.tag}: ` : ''}"${card.quote}" (${card.source}${card.date ? `, ${card.date}` : ''})`)
+        .join('\n');
+    return `\nEvidence cards from the team's library. Use these instead of inventing facts or statistics. When you use a card, cite it by its number in square brackets right after the sentence, e.g. [2]. Do not cite anything else.\n${list}\n`;
+}
+
+const CITATION_PATTERN = /\s*\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+// Cards cited in a response, in order of first citation
+function extractCitations(text, cards) {
+    const cited = [];
+    for (const match of text.matchAll(CITATION_PATTERN)) {
+        for (const number of match[1].split(',').map(n => parseInt(n, 10))) {
+            const card = cards[number - 1];
+            if (card && !cited.some(citation => citation.number === number)) {
+                cited.push({ number, ...card });
+            }
+        }
+    }
+    return cited;
+}
+
+// Response text without citation markers, for the voice-over and captions
+function stripCitations(text) {
+    return text.replace(CITATION_PATTERN, '');
+}
+
+function isValidLibraryId(libraryId) {
+    return LIBRARY_ID_PATTERN.test(libraryId);
+}
+
+module.exports = {
+    parseEvidence,
+    parseCsv,
+    parseMarkdownCards,
+    buildIndex,
+    searchEvidence,
+    createEvidenceStore,
+    formatEvidenceForPrompt,
+    extractCitations,
+    stripCitations,
+    isValidLibraryId
+};
@@ -0,0 +1,238 @@
+const fs = require('fs');
+const path = require('path');
+const { generateValidatedJson } = require('./structured-output');
+const { timestampedTranscript } = require('./arguments');
+const { parseEvidence, buildIndex, searchEvidence } = require('./evidence');
+const { splitSentences } = require('./text');
+
+// Fact-checking. Checkable claims are pulled out of the transcript with their times, then
+// each is rated supported, disputed or unverifiable. The 'corpus' provider rates claims only
+// against passages retrieved from a local reference corpus (and the job's evidence library);
+// the 'llm' provider lets the model rate them from its own knowledge.
+
+const RATINGS = ['supported', 'disputed', 'unverifiable'];
+const MODES = ['off', 'report', 'mention'];
+const CORPUS_DIR = process.env.FACT_CHECK_CORPUS_DIR || null;
+const DEFAULT_PROVIDER = process.env.FACT_CHECK_PROVIDER || (CORPUS_DIR ? 'corpus' : 'llm');
+const MAX_CLAIMS = parseInt(process.env.FACT_CHECK_MAX_CLAIMS || '10', 10);
+const PASSAGES_PER_CLAIM = 3;
+const PASSAGE_CHARS = 600;
+
+const CLAIM_SCHEMA = {
+    type: 'object',
+    required: ['claims'],
+    properties: {
+        claims: {
+            type: 'array',
+            maxItems: MAX_CLAIMS,
+            items: {
+                type: 'object',
+                required: ['text', 'speaker', 'start', 'end'],
+                properties: {
+                    text: { type: 'string', minLength: 1 },
+                    speaker: { type: 'string' },
+                    start: { type: 'number', minimum: 0 },
+                    end: { type: 'number', minimum: 0 }
+                }
+            }
+        }
+    }
+};
+
+function ratingSchema(claimCount) {
+    return {
+        type: 'object',
+        required: ['ratings'],
+        properties: {
+            ratings: {
+                type: 'array',
+                minItems: claimCount,
+                maxItems: claimCount,
+                items: {
+                    type: 'object',
+                    required: ['claim', 'rating', 'explanation', 'sources'],
+                    properties: {
+                        claim: { type: 'integer', minimum: 1, maximum: claimCount },
+                        rating: { enum: RATINGS },
+                        explanation: { type: 'string', minLength: 1 },
+                        sources: { type: 'array', items: { type: 'integer', minimum: 1 } }
+                    }
+                }
+            }
+        }
+    };
+}
+
+// Normalize the fact-check mode of a request, throwing on unknown values
+function resolveFactCheckMode(mode) {
+    const resolved = mode || process.env.FACT_CHECK_MODE || 'report';
+    if (!MODES.includes(resolved)) {
+        throw new Error(`Unknown fact-check mode: ${mode}. Expected one of: ${MODES.join(', ')}`);
+    }
+    return resolved;
+}
+
+let corpusCache = null;
+
+// Passages from the corpus directory: .txt and .md files are split into paragraphs, .json
+// and .csv files are read as evidence cards. Loaded once per instance.
+function loadCorpus() {
+    if (!CORPUS_DIR) return [];
+    if (corpusCache) return corpusCache;
+
+    const passages = [];
+    for (const name of fs.readdirSync(CORPUS_DIR).sort()) {
+        const filePath = path.join(CORPUS_DIR, name);
+        const extension = path.extname(name).toLowerCase();
+        const content = fs.readFileSync(filePath, 'utf8');
+
+        if (extension === '.json' || extension === '.csv') {
+            passages.push(...parseEvidence(content, extension.substring(1)));
+        } else if (extension === '.txt' || extension === '.md') {
+            for (const text of splitPassages(content)) {
+                passages.push({ tag: '', quote: text, source: name, date: null });
+            }
+        }
+    }
+
+    console.log(`Loaded ${passages.length} fact-check passages from ${CORPUS_DIR}`);
+    corpusCache = passages;
+    return corpusCache;
+}
+
+// Paragraphs, with long ones cut at sentence boundaries
+function splitPassages(content) {
+    const passages = [];
+    for (const paragraph of content.split(/\n\s*\n/).map(p => p.replace(/\s+/g, ' ').trim()).filter(Boolean)) {
+        let current = '';
+        for (const sentence of splitSentences(paragraph)) {
+            if (current && current.length + sentence.length > PASSAGE_CHARS) {
+                passages.push(current);
+                current = '';
+            }
+            current = current ? `${current} ${sentence}` : sentence;
+        }
+        if (current) passages.push(current);
+    }
+    return passages;
+}
+
+// Extract and rate the checkable claims in a transcription
+async function factCheck(transcription, options, generateText) {
+    const provider = options.provider || DEFAULT_PROVIDER;
+    if (!['corpus', 'llm'].includes(provider)) {
+        throw new Error(`Unknown fact-check provider: ${provider}`);
+    }
+
+    const { claims } = await generateValidatedJson(generateText, claimPrompt(transcription, options.topic), CLAIM_SCHEMA, {
+        label: 'Claim extraction'
+    });
+    clampTimes(claims, transcription);
+
+    let sources = [];
+    let passagesByClaim = claims.map(() => []);
+    if (provider === 'corpus') {
+        const passages = [...loadCorpus(), ...(options.evidenceCards || [])];
+        const index = buildIndex(passages);
+        passagesByClaim = claims.map(claim => searchEvidence(index, claim.text, PASSAGES_PER_CLAIM));
+        sources = [...new Set(passagesByClaim.flat())];
+    }
+
+    let ratings = [];
+    if (claims.length > 0) {
+        const prompt = ratingPrompt(claims, provider, passagesByClaim, sources);
+        ({ ratings } = await generateValidatedJson(generateText, prompt, ratingSchema(claims.length), {
+            label: 'Fact-check rating'
+        }));
+    }
+
+    const checked = claims.map((claim, index) => {
+        const rating = ratings.find(r => r.claim === index + 1) || {
+            rating: 'unverifiable',
+            explanation: 'No rating was returned for this claim.',
+            sources: []
+        };
+        return {
+            ...claim,
+            rating: rating.rating,
+            explanation: rating.explanation,
+            sources: rating.sources
+                .map(number => sources[number - 1])
+                .filter(Boolean)
+                .map(source => ({ source: source.source, date: source.date, quote: source.quote }))
+        };
+    });
+
+    return {
+        provider: provider,
+        claims: checked,
+        summary: Object.fromEntries(RATINGS.map(rating => [rating, checked.filter(claim => claim.rating === rating).length]))
+    };
+}
+
+function claimPrompt(transcription, topic) {
+    return `You are a careful fact-checker. List the checkable factual claims in the following debate speech: statistics, historical facts, scientific findings, quotes and descriptions of events or laws. Leave out opinions, predictions, values and arguments.
+
+Topic: ${topic || 'General debate'}
+
+The transcript is split into lines that start with their time in seconds and the speaker:
+${timestampedTranscript(transcription)}
+
+Reply with only JSON (no markdown) matching this JSON schema:
+${JSON.stringify(CLAIM_SCHEMA)}
+
+State each claim as a short self-contained sentence and use the line times for start and end. List at most ${MAX_CLAIMS} claims, most important first, or an empty array if there are none.`;
+}
+
+function ratingPrompt(claims, provider, passagesByClaim, sources) {
+    const claimList = claims.map((claim, index) => {
+        const passages = passagesByClaim[index]
+            .map(passage => `    Passage ${sources.indexOf(passage) + 1}`)
+            .join('\n');
+        return `${index + 1}. ${claim.text}${passages ? `\n${passages}` : ''}`;
+    }).join('\n');
+
+    const reference = provider === 'corpus'
+        ? `Rate each claim only against the numbered reference passages listed under it. A claim is supported if a passage confirms it, disputed if a passage contradicts it and unverifiable if the passages do not settle it. List the numbers of the passages you relied on in sources.
+
+Reference passages:
+${sources.map((source, index) => `[${index + 1}] ${source.quote} (${source.source}${source.date ? `, ${source.date}` : ''})`).join('\n') || '(none)'}`
+        : 'Rate each claim from your own knowledge. A claim is supported if it is accurate, disputed if it is false or misleading and unverifiable if you cannot tell. Leave sources empty.';
+
+    return `You are a careful fact-checker. ${reference}
+
+Claims:
+${claimList}
+
+Reply with only JSON (no markdown) matching this JSON schema:
+${JSON.stringify(ratingSchema(claims.length))}
+
+Give one rating per claim, numbered as above, with a one or two sentence explanation.`;
+}
+
+function clampTimes(claims, transcription) {
+    const words = transcription.words;
+    const duration = words.length > 0 ? words[words.length - 1].end : 0;
+    for (const claim of claims) {
+        claim.start = Math.min(Math.max(claim.start, 0), duration);
+        claim.end = Math.min(Math.max(claim.end, claim.start), duration);
+    }
+}
+
+// Disputed and unverifiable claims for the response prompt, or '' when there are none
+function formatFactCheckForPrompt(report) {
+    const flagged = report ? report.claims.filter(claim => claim.rating !== 'supported') : [];
+    if (flagged.length === 0) return '';
+
+    const list = flagged
+        .map(claim => `- "${claim.text}" (${claim.speaker}, ${claim.start.toFixed(0)}s): ${claim.rating}. ${claim.explanation}`)
+        .join('\n');
+    return `\nA fact-check of the speech flagged these claims. Briefly point out the disputed ones and ask for evidence for the unverifiable ones:\n${list}\n`;
+}
+
+module.exports = {
+    RATINGS,
+    resolveFactCheckMode,
+    factCheck,
+    formatFactCheckForPrompt
+};
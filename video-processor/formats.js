@@ -0,0 +1,170 @@
+// Debate format profiles. A profile decides which speech the AI is answering and with what
+// speech, how long the response is, the vocabulary and structure the prompt asks for, and
+// the pacing of the voice-over and captions, and the speaker point scale ballots use.
+
+const FORMAT_PROFILES = {
+    general: {
+        name: 'General Debate',
+        roles: {
+            speech: { name: 'debate speech', responseRole: 'debate coach' }
+        },
+        defaultRole: 'speech',
+        responseWords: [150, 200],
+        responseSeconds: [60, 90],
+        vocabulary: 'Plain, accessible language suitable for any debater.',
+        structure: [
+            'A brief acknowledgment of the speaker\'s points',
+            'A thoughtful counter-argument or additional perspective',
+            'Constructive feedback or suggestions',
+            'An encouraging conclusion'
+        ],
+        ttsSpeed: 1,
+        captionLineChars: 42,
+        speakerPoints: { min: 25, max: 30, step: 0.1 }
+    },
+    ld: {
+        name: 'Lincoln-Douglas',
+        roles: {
+            AC: { name: 'Affirmative Constructive (AC)', responseRole: 'Negative Constructive (NC)' },
+            NC: { name: 'Negative Constructive (NC)', responseRole: 'First Affirmative Rebuttal (1AR)' },
+            '1AR': { name: 'First Affirmative Rebuttal (1AR)', responseRole: 'Negative Rebuttal (NR)' },
+            NR: { name: 'Negative Rebuttal (NR)', responseRole: 'Second Affirmative Rebuttal (2AR)' }
+        },
+        defaultRole: 'AC',
+        responseWords: [200, 260],
+        responseSeconds: [75, 100],
+        vocabulary: 'Value/criterion debate language: value, value criterion, framework, philosophical warrants, burdens, voting issues.',
+        structure: [
+            'Framework: contest or accept the opponent\'s value and criterion',
+            'Line-by-line responses to each contention',
+            'Weighing under the winning framework',
+            'Voting issues'
+        ],
+        ttsSpeed: 1.1,
+        captionLineChars: 40,
+        speakerPoints: { min: 25, max: 30, step: 0.1 }
+    },
+    policy: {
+        name: 'Policy (CX)',
+        roles: {
+            '1AC': { name: 'First Affirmative Constructive (1AC)', responseRole: 'First Negative Constructive (1NC)' },
+            '1NC': { name: 'First Negative Constructive (1NC)', responseRole: 'Second Affirmative Constructive (2AC)' },
+            '2AC': { name: 'Second Affirmative Constructive (2AC)', responseRole: 'Negative Block' },
+            '1AR': { name: 'First Affirmative Rebuttal (1AR)', responseRole: 'Second Negative Rebuttal (2NR)' },
+            '2NR': { name: 'Second Negative Rebuttal (2NR)', responseRole: 'Second Affirmative Rebuttal (2AR)' }
+        },
+        defaultRole: '1AC',
+        responseWords: [260, 340],
+        responseSeconds: [80, 110],
+        vocabulary: 'Policy jargon: plan, inherency, harms, solvency, advantages, disadvantages, counterplans, kritiks, topicality, uniqueness, link, impact calculus.',
+        structure: [
+            'Off-case positions (disadvantage, counterplan or topicality) where relevant',
+            'On-case responses to inherency, harms and solvency',
+            'Impact calculus: magnitude, probability, timeframe',
+            'Overview of why the judge should vote for this side'
+        ],
+        ttsSpeed: 1.3,
+        captionLineChars: 36,
+        speakerPoints: { min: 25, max: 30, step: 0.1 }
+    },
+    pf: {
+        name: 'Public Forum',
+        roles: {
+            constructive: { name: 'Constructive', responseRole: 'Rebuttal' },
+            rebuttal: { name: 'Rebuttal', responseRole: 'Summary' },
+            summary: { name: 'Summary', responseRole: 'Final Focus' }
+        },
+        defaultRole: 'constructive',
+        responseWords: [150, 200],
+        responseSeconds: [60, 80],
+        vocabulary: 'Clear language for a lay judge; avoid technical debate jargon and explain every term.',
+        structure: [
+            'Roadmap',
+            'Responses to each of the opponent\'s contentions',
+            'Weighing that a lay judge can follow',
+            'Why our side wins the round'
+        ],
+        ttsSpeed: 1,
+        captionLineChars: 42,
+        speakerPoints: { min: 25, max: 30, step: 0.5 }
+    },
+    bp: {
+        name: 'British Parliamentary',
+        roles: {
+            PM: { name: 'Prime Minister', responseRole: 'Leader of the Opposition' },
+            LO: { name: 'Leader of the Opposition', responseRole: 'Deputy Prime Minister' },
+            MG: { name: 'Member of Government', responseRole: 'Member of Opposition' },
+            GW: { name: 'Government Whip', responseRole: 'Opposition Whip' }
+        },
+        defaultRole: 'PM',
+        responseWords: [180, 240],
+        responseSeconds: [70, 95],
+        vocabulary: 'Parliamentary language: motion, model, mechanism, clash, principled and practical arguments, extension, points of information.',
+        structure: [
+            'Rebuttal of the previous speaker\'s arguments',
+            'A principled argument',
+            'A practical argument with mechanisms and stakeholders',
+            'Why our bench wins the main clashes'
+        ],
+        ttsSpeed: 1,
+        captionLineChars: 42,
+        speakerPoints: { min: 50, max: 100, step: 1 }
+    },
+    wsdc: {
+        name: 'World Schools',
+        roles: {
+            P1: { name: 'First Proposition', responseRole: 'First Opposition' },
+            O1: { name: 'First Opposition', responseRole: 'Second Proposition' },
+            P3: { name: 'Third Proposition', responseRole: 'Third Opposition' },
+            reply: { name: 'Reply Speech', responseRole: 'Opposing Reply Speech' }
+        },
+        defaultRole: 'P1',
+        responseWords: [180, 240],
+        responseSeconds: [70, 95],
+        vocabulary: 'World Schools language: motion, definitions, team line, burdens, clashes, style, content and strategy.',
+        structure: [
+            'Definitional or framing challenges, if any',
+            'Rebuttal organised by clash',
+            'Our team line and substantive argument',
+            'Summary of the clashes we win'
+        ],
+        ttsSpeed: 1,
+        captionLineChars: 42,
+        speakerPoints: { min: 60, max: 80, step: 0.5 }
+    }
+};
+
+// Resolve a format id and speech role, throwing on unknown values
+function resolveFormat(formatId, speechRole) {
+    const id = formatId || 'general';
+    // Own keys only, so names like "constructor" are not taken from Object.prototype
+    const profile = Object.hasOwn(FORMAT_PROFILES, id) ? FORMAT_PROFILES[id] : null;
+    if (!profile) {
+        throw new Error(`Unknown debate format: ${formatId}. Expected one of: ${Object.keys(FORMAT_PROFILES).join(', ')}`);
+    }
+
+    const roleId = speechRole || profile.defaultRole;
+    const role = Object.hasOwn(profile.roles, roleId) ? profile.roles[roleId] : null;
+    if (!role) {
+        throw new Error(`Unknown speech role for ${profile.name}: ${speechRole}. Expected one of: ${Object.keys(profile.roles).join(', ')}`);
+    }
+
+    return { id, roleId, role, ...profile };
+}
+
+// Summary of the profiles for clients choosing a format
+function listFormats() {
+    return Object.entries(FORMAT_PROFILES).map(([id, profile]) => ({
+        id,
+        name: profile.name,
+        defaultRole: profile.defaultRole,
+        roles: Object.entries(profile.roles).map(([roleId, role]) => ({ id: roleId, ...role })),
+        responseSeconds: profile.responseSeconds
+    }));
+}
+
+module.exports = {
+    FORMAT_PROFILES,
+    resolveFormat,
+    listFormats
+};
@@ -1,13 +1,37 @@
 const express = require('express');
 const cors = require('cors');
 const { Storage } = require('@google-cloud/storage');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-const { exec } = require('child_process');
-const util = require('util');
-const execAsync = util.promisify(exec);
+const { transcribe } = require('./transcription');
+const { diarize, formatLabeledTranscript, parseSpeakerNames } = require('./diarization');
+const { stepsForMode, stepTimeoutSeconds, runIdFor, isValidFileId, createJobStore } = require('./jobs');
+const { createArtifactStore } = require('./artifacts');
+const { composeEmail, deliverMail, transcriptExcerpt } = require('./mail');
+const { validateCallbackUrl, deliverCallback } = require('./callbacks');
+const { LINK_TTL_SECONDS, parseStorageUrl, uploadObjectName, createUrlSigner } = require('./signed-urls');
+const { synthesize, resolveVoiceSettings } = require('./tts');
+const { buildCues, toSrt, toWebVtt } = require('./captions');
+const { extractArguments } = require('./arguments');
+const { resolveFormat, listFormats } = require('./formats');
+const { createSessionStore, buildSessionContext, isValidSessionId } = require('./sessions');
+const { hashToken } = require('./tokens');
+const { resolveRubric, adjudicate } = require('./adjudication');
+const { renderBallotHtml, renderBallotPdf } = require('./ballot');
+const { LlmError, generateText, resolveLlmSettings } = require('./llm');
+const { createEvidenceStore, parseEvidence, formatEvidenceForPrompt, extractCitations, stripCitations, isValidLibraryId } = require('./evidence');
+const { resolveFactCheckMode, factCheck, formatFactCheckForPrompt } = require('./factcheck');
+const { resolveLayout, verticalLayout, planAlternatingSegments, shiftCues, composeVideo } = require('./layouts');
+const { parseRenditions, encodeHls, encodeLowBandwidth } = require('./renditions');
+const { createPreviews } = require('./previews');
+const { runFfmpeg } = require('./media');
+const { MediaInspectionError, inspectMedia } = require('./inspection');
+const { resolveVisuals, planSlides, buildSlideFilters } = require('./slides');
+const { resolveLanguage, detectedLanguage, parseLanguageList, listLanguages, voiceForLanguage, translateSentences } = require('./languages');
+const { DEFAULT_PERSONA, listTemplates, resolveTemplateRef, loadTemplate, renderTemplate, usesVariable, formatTemplateRef } = require('./prompts');
 
 const app = express();
 const port = process.env.PORT || 8080;
@@ -15,7 +39,20 @@ const port = process.env.PORT || 8080;
 // Initialize services
 const storage = new Storage();
 const bucket = storage.bucket(process.env.UPLOAD_BUCKET || 'ai-debate-uploads');
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const jobStore = createJobStore(bucket);
+const artifactStore = createArtifactStore(bucket);
+const sessionStore = createSessionStore(bucket);
+const evidenceStore = createEvidenceStore(bucket);
+const urlSigner = createUrlSigner(bucket);
+
+// Abort controllers of the jobs running on this instance, by job ID
+const runningJobs = new Map();
+// Percentage points of encode progress between job updates
+const PROGRESS_INTERVAL = 5;
+// How often a running job checks whether another instance was asked to cancel it
+const CANCEL_POLL_MS = parseInt(process.env.CANCEL_POLL_SECONDS || '15', 10) * 1000;
+// Where users reach this service, for links in emails that must outlive signed URLs
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '');
 
 // Configure CORS
 app.use(cors({
@@ -25,114 +62,1362 @@ app.use(cors({
     credentials: true
 }));
 
-// Middleware
-app.use(express.json({ limit: '50mb' }));
+// Middleware
+app.use(express.json({ limit: '50mb' }));
+
+// Health check endpoint
+app.get('/', (req, res) => {
+    res.json({ 
+        status: 'OK', 
+        message: 'AI Debate Video Processor is running',
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Main video processing endpoint - queues a job and returns immediately
+app.post('/processDebateVideo', async (req, res) => {
+    try {
+        const { request, error } = await buildProcessingRequest(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error
+            });
+        }
+
+        console.log('Queueing video processing:', request);
+
+        const job = await jobStore.createJob(request);
+        await jobStore.recordVersion(job);
+
+        // Run the pipeline in the background; progress is recorded on the job
+        processDebateVideo(job).catch(error => {
+            console.error(`Job ${job.jobId} failed:`, error);
+        });
+
+        res.status(202).json({
+            success: true,
+            message: 'Video processing queued',
+            jobId: job.jobId,
+            fileId: request.fileId,
+            status: job.status,
+            statusUrl: `/jobs/${job.jobId}`
+        });
+
+    } catch (error) {
+        console.error('Video processing error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to queue video processing',
+            details: error.message
+        });
+    }
+});
+
+// The processing options a request can set. API clients send them at the top level of the
+// body; the upload handlers forward the rest of the upload form as body.options, and only
+// these fields are taken from it.
+const PROCESSING_OPTION_FIELDS = ['mode', 'format', 'speechRole', 'sessionId', 'sessionToken', 'speakerNames', 'voice', 'voiceSpeed', 'voiceLanguage', 'promptTemplate', 'persona', 'evidenceLibrary', 'factCheck', 'layout', 'visuals', 'slideTheme', 'responseLanguage', 'captionLanguages', 'renditions', 'callbackUrl'];
+
+// The processing options present in a request body, top-level values overriding body.options
+function pickProcessingOptions(body) {
+    const forwarded = body.options && typeof body.options === 'object' ? body.options : {};
+    const options = {};
+    for (const source of [forwarded, body]) {
+        for (const name of PROCESSING_OPTION_FIELDS) {
+            if (source[name] !== undefined && source[name] !== null && source[name] !== '') {
+                options[name] = source[name];
+            }
+        }
+    }
+    return options;
+}
+
+// Validate a processing request body and build the job request from it. Resolves to
+// { request } or, for a bad request, { error }. previous is the request of a job being
+// reprocessed, whose session token still holds for its session.
+async function buildProcessingRequest(body, previous = null) {
+    const { videoUrl, fileId, fileName, userEmail, topic, rerunFrom } = body;
+    const options = pickProcessingOptions(body);
+    const mode = options.mode || 'respond';
+    const format = options.format || 'general';
+    const speechRole = options.speechRole || null;
+    const sessionId = options.sessionId || null;
+    // Only the session token's hash is kept on the job
+    let sessionTokenHash = null;
+    if (options.sessionToken) {
+        sessionTokenHash = hashToken(String(options.sessionToken));
+    } else if (previous && sessionId === previous.sessionId) {
+        sessionTokenHash = previous.sessionTokenHash || null;
+    }
+    const rubric = body.rubric || null;
+    const persona = options.persona || null;
+    const evidenceLibrary = options.evidenceLibrary || null;
+    const factCheckMode = options.factCheck || null;
+    const layout = options.layout || null;
+    const visuals = options.visuals || null;
+    const slideTheme = options.slideTheme || null;
+    const responseLanguage = options.responseLanguage || null;
+    let callbackUrl = options.callbackUrl || null;
+    const speakerNames = parseSpeakerNames(options.speakerNames);
+    const voiceOptions = {
+        voice: options.voice || null,
+        speed: options.voiceSpeed || null,
+        language: options.voiceLanguage || null
+    };
+
+    if (!videoUrl || !fileId || !userEmail) {
+        return { error: 'Missing required parameters: videoUrl, fileId, userEmail' };
+    }
+
+    if (!isValidFileId(fileId)) {
+        return { error: 'fileId must be 8-64 letters, digits, dashes or underscores' };
+    }
+
+    // Only the request's own upload can be processed, never another object in storage
+    if (!uploadObjectName(videoUrl, bucket.name, fileId)) {
+        return { error: `videoUrl must be gs://${bucket.name}/videos/upload_${fileId}.<ext>, the upload for this fileId` };
+    }
+
+    let steps;
+    try {
+        steps = stepsForMode(mode);
+    } catch (error) {
+        return { error: error.message };
+    }
+
+    if (rerunFrom && !steps.includes(rerunFrom)) {
+        return { error: `rerunFrom must be one of: ${steps.join(', ')}` };
+    }
+
+    if (sessionId && !isValidSessionId(sessionId)) {
+        return { error: 'sessionId must be 8-64 letters, digits, dashes or underscores' };
+    }
+
+    if (sessionId && !(await sessionStore.canUseSession(sessionId, sessionTokenHash))) {
+        return { error: sessionTokenHash ? 'sessionToken is not the token of this session' : 'sessionToken is required with sessionId' };
+    }
+
+    if (evidenceLibrary && (!isValidLibraryId(evidenceLibrary) || !(await evidenceStore.getLibrary(evidenceLibrary)))) {
+        return { error: `Evidence library not found: ${evidenceLibrary}` };
+    }
+
+    let promptTemplate;
+    let captionLanguages;
+    let renditions;
+    try {
+        const profile = resolveFormat(format, speechRole);
+        resolveVoiceSettings(voiceOptions);
+        if (mode === 'adjudicate') resolveRubric(rubric, profile);
+        resolveFactCheckMode(factCheckMode);
+        resolveLayout(layout);
+        resolveVisuals(visuals, slideTheme);
+        if (responseLanguage) resolveLanguage(responseLanguage);
+        captionLanguages = parseLanguageList(options.captionLanguages);
+        renditions = parseRenditions(options.renditions);
+        if (callbackUrl) callbackUrl = validateCallbackUrl(callbackUrl);
+        // Pin the template version so retries use the same prompt
+        promptTemplate = formatTemplateRef(resolveTemplateRef(options.promptTemplate));
+    } catch (error) {
+        return { error: error.message };
+    }
+
+    return {
+        request: { videoUrl, fileId, fileName, userEmail, topic, mode, format, speechRole, sessionId, sessionTokenHash, speakerNames, voiceOptions, rubric, promptTemplate, persona, evidenceLibrary, factCheck: factCheckMode, layout, visuals, slideTheme, responseLanguage, captionLanguages, renditions, callbackUrl, rerunFrom }
+    };
+}
+
+// The request body a job's request was built from, for building a changed copy of it. The
+// session token is not in it; buildProcessingRequest takes its hash from the previous request.
+function requestBody(request) {
+    const { voiceOptions, version, rerunFrom, sessionTokenHash, ...fields } = request;
+    return {
+        ...fields,
+        voice: voiceOptions ? voiceOptions.voice : null,
+        voiceSpeed: voiceOptions ? voiceOptions.speed : null,
+        voiceLanguage: voiceOptions ? voiceOptions.language : null
+    };
+}
+
+// Debate format profiles clients can choose from
+app.get('/formats', (req, res) => {
+    res.json({
+        success: true,
+        formats: listFormats()
+    });
+});
+
+// Languages the speech, response and captions can be in
+app.get('/languages', (req, res) => {
+    res.json({
+        success: true,
+        languages: listLanguages()
+    });
+});
+
+// Prompt templates and their versions
+app.get('/prompts', (req, res) => {
+    res.json({
+        success: true,
+        templates: listTemplates()
+    });
+});
+
+// Run several prompt template versions on the same stored transcript to compare their responses
+app.post('/prompts/compare', async (req, res) => {
+    try {
+        const { fileId, topic, persona, evidenceLibrary } = req.body;
+        const templates = req.body.templates || [];
+
+        if (!fileId || !Array.isArray(templates) || templates.length < 2 || templates.length > 4) {
+            return res.status(400).json({
+                success: false,
+                error: 'Required parameters: fileId and templates (2-4 template references such as "response@1")'
+            });
+        }
+
+        if (!isValidFileId(fileId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid fileId'
+            });
+        }
+
+        let profile;
+        let refs;
+        let language = null;
+        try {
+            profile = resolveFormat(req.body.format, req.body.speechRole);
+            refs = templates.map(resolveTemplateRef);
+            if (req.body.responseLanguage) language = resolveLanguage(req.body.responseLanguage);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        const transcription = await artifactStore.load(fileId, 'transcript');
+        if (!transcription) {
+            return res.status(404).json({
+                success: false,
+                error: 'No transcript stored for this fileId'
+            });
+        }
+
+        const evidence = evidenceLibrary
+            ? await evidenceStore.retrieve(evidenceLibrary, `${topic || ''} ${transcription.text}`)
+            : [];
+        language = language || detectedLanguage(transcription) || resolveLanguage();
+
+        const results = [];
+        for (const ref of refs) {
+            const response = await generateAIResponse(transcription, topic, profile, '', { promptTemplate: ref, persona, evidence, language });
+            results.push({ template: formatTemplateRef(ref), ...ref, response, citations: extractCitations(response, evidence) });
+        }
+
+        res.status(200).json({
+            success: true,
+            fileId: fileId,
+            llm: describeLlm(),
+            language: language.code,
+            results: results
+        });
+
+    } catch (error) {
+        console.error('Prompt comparison error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to compare prompt templates',
+            details: error.message
+        });
+    }
+});
+
+// Upload an evidence library as JSON, CSV or Markdown; passing a libraryId replaces that library
+app.post('/evidence', async (req, res) => {
+    try {
+        const { libraryId, name, format, content, ownerToken } = req.body;
+        if (!format || typeof content !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: 'Required parameters: format (json, csv or markdown) and content'
+            });
+        }
+
+        if (libraryId && !isValidLibraryId(libraryId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'libraryId must be 8-64 letters, digits, dashes or underscores'
+            });
+        }
+
+        let cards;
+        try {
+            cards = parseEvidence(content, format);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        const library = await evidenceStore.saveLibrary({ libraryId, name, ownerToken }, cards);
+        if (!library) {
+            return res.status(403).json({
+                success: false,
+                error: `Evidence library ${libraryId} already exists; replacing it needs the ownerToken returned when it was created`
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            libraryId: library.libraryId,
+            name: library.name,
+            cardCount: library.cards.length,
+            // Only returned when the library is created
+            ownerToken: library.ownerToken
+        });
+
+    } catch (error) {
+        console.error('Evidence upload error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save evidence library',
+            details: error.message
+        });
+    }
+});
+
+// Evidence library contents
+app.get('/evidence/:id', async (req, res) => {
+    try {
+        const library = isValidLibraryId(req.params.id) ? await evidenceStore.getLibrary(req.params.id) : null;
+        if (!library) {
+            return res.status(404).json({
+                success: false,
+                error: 'Evidence library not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            library: library
+        });
+
+    } catch (error) {
+        console.error('Evidence lookup error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load evidence library',
+            details: error.message
+        });
+    }
+});
+
+// Debate session history
+app.get('/sessions/:id', async (req, res) => {
+    try {
+        // The session token is sent as a bearer token, so it stays out of URLs and logs
+        const [scheme, sessionToken] = (req.get('Authorization') || '').split(' ');
+        if (scheme !== 'Bearer' || !sessionToken) {
+            return res.status(401).json({
+                success: false,
+                error: 'Send the session token as Authorization: Bearer <sessionToken>'
+            });
+        }
+
+        // Another token's session is not found either, so ids cannot be probed
+        const session = isValidSessionId(req.params.id) ? await sessionStore.getSession(req.params.id, hashToken(sessionToken)) : null;
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                error: 'Session not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            session: session
+        });
+
+    } catch (error) {
+        console.error('Session lookup error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load session',
+            details: error.message
+        });
+    }
+});
+
+// Job status endpoint
+app.get('/jobs/:id', async (req, res) => {
+    try {
+        const job = await jobStore.getJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
+        const links = await signJobResult(job);
+        res.status(200).json({
+            success: true,
+            jobId: job.jobId,
+            fileId: job.fileId,
+            version: job.version || 1,
+            status: job.status,
+            currentStep: job.currentStep,
+            steps: job.steps,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            completedAt: job.completedAt,
+            updatedAt: job.updatedAt,
+            error: job.error,
+            finalVideoUrl: links.finalVideoUrl,
+            linksExpireAt: links.expiresAt,
+            deliveries: job.deliveries || {},
+            result: links.result
+        });
+
+    } catch (error) {
+        console.error('Job lookup error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load job',
+            details: error.message
+        });
+    }
+});
+
+// Issue new signed links to a job's results, for when the earlier ones have expired
+app.get('/jobs/:id/links', async (req, res) => {
+    try {
+        const job = await jobStore.getJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
+        if (job.status !== 'completed') {
+            return res.status(400).json({
+                success: false,
+                error: `Job is ${job.status}; links are issued once it has completed`
+            });
+        }
+
+        const { finalVideoUrl, result, expiresAt } = await signJobResult(job);
+        res.status(200).json({
+            success: true,
+            jobId: job.jobId,
+            expiresAt: expiresAt,
+            links: {
+                finalVideoUrl: finalVideoUrl,
+                renditions: result.renditions || [],
+                previews: result.previews || null,
+                captionUrls: result.captionUrls || null,
+                translatedCaptionUrls: result.translatedCaptionUrls || {},
+                argumentsUrl: result.argumentsUrl || null,
+                factCheckUrl: result.factCheck ? result.factCheck.url : null,
+                ballotUrls: result.ballotUrls || null
+            }
+        });
+
+    } catch (error) {
+        console.error('Link refresh error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to issue links',
+            details: error.message
+        });
+    }
+});
+
+// Redirect to a freshly signed link to the job's main result (the response video, or the ballot
+// in adjudicate mode). Emails link here so their links keep working after signed URLs expire.
+app.get('/jobs/:id/download', async (req, res) => {
+    try {
+        const job = await jobStore.getJob(req.params.id);
+        const result = job && job.status === 'completed' ? job.result : null;
+        const target = result ? (result.finalVideoUrl || (result.ballotUrls && result.ballotUrls.html)) : null;
+        if (!target) {
+            return res.status(404).json({
+                success: false,
+                error: 'No completed result found for this job'
+            });
+        }
+
+        res.redirect(302, await urlSigner.signUrl(target));
+
+    } catch (error) {
+        console.error('Download link error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to issue download link',
+            details: error.message
+        });
+    }
+});
+
+// Serve a job's HLS playlists with signed segment URLs. The stored playlists refer to their
+// segments by relative paths, which cannot carry a signature.
+app.get('/jobs/:id/hls/*', async (req, res) => {
+    try {
+        const name = req.params[0];
+        if (!/^([\w-]+\/)*[\w-]+\.m3u8$/.test(name)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid playlist name'
+            });
+        }
+
+        const job = await jobStore.getJob(req.params.id);
+        const hls = job && job.result ? (job.result.renditions || []).find(rendition => rendition.type === 'hls') : null;
+        const masterName = hls ? urlSigner.objectName(hls.url) : null;
+        if (!masterName) {
+            return res.status(404).json({
+                success: false,
+                error: 'No HLS rendition found for this job'
+            });
+        }
+
+        const playlistName = path.posix.join(path.posix.dirname(masterName), name);
+        const [exists] = await bucket.file(playlistName).exists();
+        if (!exists) {
+            return res.status(404).json({
+                success: false,
+                error: 'Playlist not found'
+            });
+        }
+
+        // Variant playlists stay relative so players fetch them through this endpoint too
+        const [contents] = await bucket.file(playlistName).download();
+        const lines = await Promise.all(contents.toString('utf8').split('\n').map(line => {
+            const uri = line.trim();
+            if (!uri || uri.startsWith('#') || uri.endsWith('.m3u8')) return line;
+            return urlSigner.signUrl(urlSigner.storageUrl(path.posix.join(path.posix.dirname(playlistName), uri)));
+        }));
+
+        res.set('Content-Type', 'application/vnd.apple.mpegurl');
+        res.set('Cache-Control', 'no-store');
+        res.send(lines.join('\n'));
+
+    } catch (error) {
+        console.error('HLS playlist error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load playlist',
+            details: error.message
+        });
+    }
+});
+
+// Retry a job, reusing checkpointed step outputs unless rerunFrom names a step to start over from
+app.post('/jobs/:id/retry', async (req, res) => {
+    try {
+        const previousJob = await jobStore.getJob(req.params.id);
+        if (!previousJob) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
+        const { rerunFrom } = req.body || {};
+        const steps = stepsForMode(previousJob.request.mode);
+        if (rerunFrom && !steps.includes(rerunFrom)) {
+            return res.status(400).json({
+                success: false,
+                error: `rerunFrom must be one of: ${steps.join(', ')}`
+            });
+        }
+
+        const job = await jobStore.createJob(
+            { ...previousJob.request, rerunFrom: rerunFrom || null },
+            { retryOf: previousJob.jobId }
+        );
+        await jobStore.recordVersion(job);
+
+        processDebateVideo(job).catch(error => {
+            console.error(`Job ${job.jobId} failed:`, error);
+        });
+
+        res.status(202).json({
+            success: true,
+            message: 'Video processing retry queued',
+            jobId: job.jobId,
+            retryOf: previousJob.jobId,
+            fileId: job.fileId,
+            status: job.status,
+            statusUrl: `/jobs/${job.jobId}`
+        });
+
+    } catch (error) {
+        console.error('Job retry error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retry job',
+            details: error.message
+        });
+    }
+});
+
+// Stop a queued or running job. The instance running it stops its current step, records the
+// job as cancelled and removes its temporary files.
+app.post('/jobs/:id/cancel', async (req, res) => {
+    try {
+        const job = await jobStore.getJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
+        if (job.status !== 'queued' && job.status !== 'running') {
+            return res.status(400).json({
+                success: false,
+                error: `Job is already ${job.status}`
+            });
+        }
+
+        // The marker reaches the job on whichever instance runs it; this one stops it at once
+        await jobStore.requestCancel(job.jobId);
+        const controller = runningJobs.get(job.jobId);
+        if (controller) {
+            controller.abort(jobError('job_cancelled', 'The job was cancelled'));
+        }
+
+        res.status(202).json({
+            success: true,
+            message: 'Job cancellation requested',
+            jobId: job.jobId,
+            statusUrl: `/jobs/${job.jobId}`
+        });
+
+    } catch (error) {
+        console.error('Job cancel error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to cancel job',
+            details: error.message
+        });
+    }
+});
+
+// Process a job's upload again as a new version, with the options in the body replacing the
+// job's (topic, format, persona, layout, ...). The stored upload is read again rather than
+// uploaded again, and its inspection and transcript are reused unless the speaker names change.
+app.post('/jobs/:id/reprocess', async (req, res) => {
+    try {
+        const previousJob = await jobStore.getJob(req.params.id);
+        if (!previousJob) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
+        const previous = previousJob.request;
+        // Uploads stored before the bucket was made private are referred to by https URL
+        const stored = parseStorageUrl(previous.videoUrl);
+        const { request, error } = await buildProcessingRequest({
+            ...requestBody(previous),
+            ...(req.body || {}),
+            // The upload and who it belongs to stay the same
+            videoUrl: stored ? `gs://${stored.bucket}/${stored.name}` : previous.videoUrl,
+            fileId: previous.fileId,
+            fileName: previous.fileName,
+            userEmail: previous.userEmail,
+            rerunFrom: null
+        }, previous);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error
+            });
+        }
+
+        if (!(await isUploadStored(request.videoUrl, request.fileId))) {
+            return res.status(404).json({
+                success: false,
+                error: 'The original upload is no longer stored'
+            });
+        }
+
+        const version = await jobStore.allocateVersion(previous.fileId);
+        if (JSON.stringify(request.speakerNames) === JSON.stringify(previous.speakerNames || [])) {
+            await artifactStore.copy(runIdFor(previous.fileId, previousJob.version || 1), runIdFor(previous.fileId, version), ['inspection', 'transcript']);
+        }
+
+        const job = await jobStore.createJob({ ...request, version }, { reprocessOf: previousJob.jobId });
+        await jobStore.recordVersion(job);
+        console.log(`Reprocessing ${previous.fileId} as version ${version}:`, request);
+
+        processDebateVideo(job).catch(error => {
+            console.error(`Job ${job.jobId} failed:`, error);
+        });
+
+        res.status(202).json({
+            success: true,
+            message: 'Video reprocessing queued',
+            jobId: job.jobId,
+            reprocessOf: previousJob.jobId,
+            fileId: job.fileId,
+            version: version,
+            status: job.status,
+            statusUrl: `/jobs/${job.jobId}`
+        });
+
+    } catch (error) {
+        console.error('Job reprocess error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to reprocess job',
+            details: error.message
+        });
+    }
+});
+
+// Every version an upload has been processed as, with the status of its latest job
+app.get('/uploads/:fileId/versions', async (req, res) => {
+    try {
+        const { fileId } = req.params;
+        if (!isValidFileId(fileId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid fileId'
+            });
+        }
+
+        const versions = await jobStore.listVersions(fileId);
+        if (versions.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'No processing versions found for this upload'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            fileId: fileId,
+            versions: await Promise.all(versions.map(async entry => {
+                const job = entry.jobId ? await jobStore.getJob(entry.jobId) : null;
+                return {
+                    ...entry,
+                    status: job ? job.status : 'queued',
+                    finalVideoUrl: job && job.finalVideoUrl ? await urlSigner.signUrl(job.finalVideoUrl) : null,
+                    statusUrl: entry.jobId ? `/jobs/${entry.jobId}` : null
+                };
+            }))
+        });
 
-// Health check endpoint
-app.get('/', (req, res) => {
-    res.json({ 
-        status: 'OK', 
-        message: 'AI Debate Video Processor is running',
-        timestamp: new Date().toISOString()
-    });
+    } catch (error) {
+        console.error('Version lookup error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load versions',
+            details: error.message
+        });
+    }
 });
 
-// Main video processing endpoint
-app.post('/processDebateVideo', async (req, res) => {
-    const startTime = Date.now();
-    console.log('Starting video processing...');
-    
+// Inspect a stored upload before it is queued, for the upload handlers, so a video the pipeline
+// cannot process is rejected while the user is still on the upload page. The inspection is
+// checkpointed for the upload's first version, whose inspect step then reuses it.
+app.post('/uploads/:fileId/inspect', async (req, res) => {
     try {
-        const { videoUrl, fileId, fileName, userEmail, topic } = req.body;
-        
-        if (!videoUrl || !fileId || !userEmail) {
+        const { fileId } = req.params;
+        const { videoUrl, fileName } = req.body;
+        if (!isValidFileId(fileId)) {
             return res.status(400).json({
                 success: false,
-                error: 'Missing required parameters: videoUrl, fileId, userEmail'
+                error: 'Invalid fileId'
             });
         }
 
-        console.log('Processing video:', {
-            fileId,
-            fileName,
-            userEmail,
-            topic,
-            videoUrl
+        if (!uploadObjectName(videoUrl, bucket.name, fileId)) {
+            return res.status(400).json({
+                success: false,
+                error: `videoUrl must be gs://${bucket.name}/videos/upload_${fileId}.<ext>, the upload for this fileId`
+            });
+        }
+
+        // A queued job reads the same local copy of the upload, so it is not touched once there is one
+        if ((await jobStore.listVersions(fileId)).length > 0) {
+            return res.status(409).json({
+                success: false,
+                error: 'This upload has already been queued for processing'
+            });
+        }
+
+        if (!(await isUploadStored(videoUrl, fileId))) {
+            return res.status(404).json({
+                success: false,
+                error: 'Upload not found'
+            });
+        }
+
+        let media;
+        try {
+            media = await inspectOriginalVideo(videoUrl, fileId, fileName, {
+                signal: AbortSignal.timeout(stepTimeoutSeconds('inspect') * 1000)
+            });
+        } catch (error) {
+            if (!(error instanceof MediaInspectionError)) throw error;
+            console.log(`Upload ${fileId} rejected (${error.code}):`, error.message);
+            return res.status(400).json({
+                success: false,
+                error: error.message,
+                code: error.code
+            });
+        } finally {
+            await fs.unlink(originalVideoPath(fileId)).catch(() => {});
+        }
+
+        await artifactStore.save(runIdFor(fileId, 1), 'inspection', media);
+
+        res.status(200).json({
+            success: true,
+            fileId: fileId,
+            media: media
+        });
+
+    } catch (error) {
+        console.error('Upload inspection error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to inspect upload',
+            details: error.message
+        });
+    }
+});
+
+// Run every processing step for a job, recording progress as it goes
+async function processDebateVideo(job) {
+    const startTime = Date.now();
+    const { videoUrl, fileId, fileName, userEmail, topic, sessionId, speakerNames, voiceOptions, rerunFrom } = job.request;
+    const mode = job.request.mode || 'respond';
+    const profile = resolveFormat(job.request.format, job.request.speechRole);
+    const promptTemplate = resolveTemplateRef(job.request.promptTemplate);
+    const persona = job.request.persona || null;
+    const evidenceLibrary = job.request.evidenceLibrary || null;
+    const factCheckMode = resolveFactCheckMode(job.request.factCheck);
+    const layout = resolveLayout(job.request.layout);
+    const visuals = resolveVisuals(job.request.visuals, job.request.slideTheme);
+    const requestedRenditions = parseRenditions(job.request.renditions);
+    // Checkpoints, results and temporary files belong to this version of the upload's processing
+    const runId = runIdFor(fileId, job.request.version || 1);
+    console.log(`Starting video processing for job ${job.jobId} (${mode} mode, ${profile.name}, ${profile.role.name}, version ${job.request.version || 1})...`);
+
+    // Aborting the job stops whichever step is running, killing its media processes
+    const jobAbort = new AbortController();
+    runningJobs.set(job.jobId, jobAbort);
+    const cancelPoll = setInterval(() => {
+        jobStore.isCancelRequested(job.jobId)
+            .then(requested => {
+                if (requested) jobAbort.abort(jobError('job_cancelled', 'The job was cancelled'));
+            })
+            .catch(err => console.error('Failed to check for cancellation:', err.message));
+    }, CANCEL_POLL_MS);
+
+    // Run one named step, reusing its checkpointed artifact when a previous run finished it.
+    // fn is given the media runner options (signal, onProgress) for the step.
+    const runStep = async (step, artifact, fn) => {
+        const checkpoint = await artifactStore.load(runId, artifact);
+        if (checkpoint !== null) {
+            console.log(`Reusing ${artifact} artifact, skipping step ${step}`);
+            await jobStore.skipStep(job, step);
+            return checkpoint;
+        }
+
+        await jobStore.startStep(job, step);
+        const result = await runWithLimits(step, fn);
+        await artifactStore.save(runId, artifact, result);
+        await jobStore.completeStep(job, step);
+        return result;
+    };
+
+    // Stop a step when the job is aborted or the step runs past its timeout, and record the
+    // progress of its encodes on the job in PROGRESS_INTERVAL steps
+    const runWithLimits = async (step, fn) => {
+        if (jobAbort.signal.aborted) throw jobAbort.signal.reason;
+
+        const seconds = stepTimeoutSeconds(step);
+        const controller = new AbortController();
+        const stopped = new Promise((resolve, reject) => {
+            controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
         });
+        const forwardAbort = () => controller.abort(jobAbort.signal.reason);
+        jobAbort.signal.addEventListener('abort', forwardAbort, { once: true });
+        const timer = setTimeout(() => controller.abort(jobError('step_timeout', `Step ${step} timed out after ${seconds}s`)), seconds * 1000);
+
+        let reported = null;
+        const onProgress = ({ percent }) => {
+            if (percent === null || (reported !== null && Math.abs(percent - reported) < PROGRESS_INTERVAL && percent !== 100)) return;
+            reported = percent;
+            jobStore.reportProgress(job, step, percent).catch(err => console.error('Failed to record progress:', err.message));
+        };
+
+        try {
+            // Work that does not watch the signal, such as a language model call, is abandoned
+            return await Promise.race([fn({ signal: controller.signal, onProgress }), stopped]);
+        } finally {
+            clearTimeout(timer);
+            jobAbort.signal.removeEventListener('abort', forwardAbort);
+        }
+    };
+
+    try {
+        if (await jobStore.isCancelRequested(job.jobId)) {
+            throw jobError('job_cancelled', 'The job was cancelled');
+        }
+
+        // Jobs queued before uploads were checked are checked here, as retries reuse their request
+        const stored = parseStorageUrl(videoUrl);
+        if (!stored || !uploadObjectName(`gs://${stored.bucket}/${stored.name}`, bucket.name, fileId)) {
+            throw jobError('invalid_upload', 'The job does not refer to its own upload');
+        }
+
+        if (rerunFrom) {
+            await artifactStore.invalidateFrom(runId, rerunFrom, mode);
+        }
+
+        // Step 1: Download and inspect the video, rejecting files the pipeline cannot process, then transcribe it
+        console.log('Step 1: Downloading and inspecting video...');
+        const media = await runStep('inspect', 'inspection', run => inspectOriginalVideo(videoUrl, runId, fileName, run));
+        console.log(`Video inspected: ${media.container}, ${media.video.codec}/${media.audio.codec}, ${media.duration.toFixed(1)}s`);
+        console.log('Transcribing video...');
+        const transcription = await runStep('transcribe', 'transcript', run => downloadAndTranscribe(videoUrl, runId, { speakerNames, media: run }));
+        console.log('Transcription completed:', transcription.text.substring(0, 100) + '...');
+        console.log('Speakers identified:', transcription.diarization.speakers.map(s => s.name).join(', '));
+
+        // Answer in the chosen language, or else in the language the speech was given in
+        const spokenLanguage = detectedLanguage(transcription);
+        const language = resolveLanguage(job.request.responseLanguage || process.env.RESPONSE_LANGUAGE || (spokenLanguage && spokenLanguage.code));
+        const captionLanguages = parseLanguageList(job.request.captionLanguages).filter(code => code !== language.code);
+        console.log(`Spoken language: ${transcription.language || 'unknown'}, responding in ${language.name}`);
+
+        // Step 2: Extract the speech's argument structure
+        console.log('Step 2: Extracting arguments...');
+        const argumentBreakdown = await runStep('arguments', 'arguments', () => extractArguments(transcription, topic, generateText));
+        console.log(`Arguments extracted: ${argumentBreakdown.contentions.length} contentions`);
+
+        const session = sessionId ? await sessionStore.getSession(sessionId, job.request.sessionTokenHash) : null;
+        const sessionContext = buildSessionContext(session, fileId);
+        const studentTurn = {
+            fileId,
+            jobId: job.jobId,
+            side: 'student',
+            speechRole: profile.role.name,
+            text: transcriptForPrompt(transcription),
+            arguments: argumentBreakdown
+        };
 
-        // Step 1: Download and transcribe video
-        console.log('Step 1: Downloading and transcribing video...');
-        const transcription = await downloadAndTranscribe(videoUrl, fileId);
-        console.log('Transcription completed:', transcription.substring(0, 100) + '...');
+        if (mode === 'adjudicate') {
+            // Step 3: Judge the round, including the earlier speeches of the session
+            console.log('Step 3: Adjudicating the round...');
+            const rubric = resolveRubric(job.request.rubric, profile);
+            const ballot = await runStep('adjudicate', 'ballot', () => adjudicate(transcription, argumentBreakdown, { topic, profile, rubric, sessionContext, language }, generateText));
+            console.log(`Ballot decided for ${ballot.decision.winner}`);
 
-        // Step 2: Generate AI response using Gemini
-        console.log('Step 2: Generating AI response...');
-        const aiResponse = await generateAIResponse(transcription, topic);
+            if (sessionId) {
+                await sessionStore.recordTurns(sessionId, { userEmail, topic, format: profile.id, tokenHash: job.request.sessionTokenHash }, [studentTurn]);
+                console.log(`Recorded speech in session ${sessionId}`);
+            }
+
+            // Step 4: Upload the ballot and argument breakdown to Cloud Storage
+            console.log('Step 4: Uploading ballot...');
+            const { ballotUrls, argumentsUrl } = await runStep('upload', 'ballotUpload', async () => ({
+                ballotUrls: await uploadBallot(ballot, runId, userEmail),
+                argumentsUrl: await uploadArgumentBreakdown(argumentBreakdown, runId)
+            }));
+
+            const processingTime = Date.now() - startTime;
+            console.log(`Adjudication completed in ${processingTime}ms`);
+
+            await jobStore.completeJob(job, {
+                fileId: fileId,
+                version: job.request.version || 1,
+                mode: mode,
+                finalVideoUrl: null,
+                ballotUrls: ballotUrls,
+                ballot: ballot,
+                argumentsUrl: argumentsUrl,
+                arguments: argumentBreakdown,
+                processingTime: processingTime,
+                media: media,
+                transcription: transcription.text.substring(0, 200) + '...',
+                transcriptionProvider: transcription.provider,
+                transcriptionConfidence: transcription.confidence,
+                speakers: transcription.diarization.speakers,
+                sessionId: sessionId || null,
+                llm: describeLlm(),
+                language: {
+                    spoken: transcription.language || null
+                },
+                format: {
+                    id: profile.id,
+                    name: profile.name,
+                    speechRole: profile.roleId
+                }
+            });
+
+            // Step 5: Send email notification
+            console.log('Step 5: Sending email notification...');
+            await notifyResult(job, 'Your AI judge ballot is ready', {
+                resultName: 'AI judge ballot',
+                fileName: fileName,
+                topic: topic,
+                resultUrl: ballotUrls.html,
+                transcriptExcerpt: transcriptExcerpt(transcription.text)
+            });
+            return job;
+        }
+
+        const evidence = evidenceLibrary
+            ? await evidenceStore.retrieve(evidenceLibrary, `${topic || ''} ${transcription.text}`)
+            : [];
+
+        // Step 3: Fact-check the speech's claims
+        let factCheckReport = null;
+        if (factCheckMode === 'off') {
+            await jobStore.skipStep(job, 'factcheck');
+        } else {
+            console.log('Step 3: Fact-checking claims...');
+            factCheckReport = await runStep('factcheck', 'factCheck', () => factCheck(transcription, { topic, evidenceCards: evidence }, generateText));
+            console.log('Fact-check summary:', factCheckReport.summary);
+        }
+
+        // Step 4: Generate AI response, with the earlier rounds of the session, relevant evidence cards
+        // and, when asked for, the fact-check
+        console.log('Step 4: Generating AI response...');
+        const aiResponse = await runStep('generate', 'response', () => generateAIResponse(transcription, topic, profile, sessionContext, {
+            promptTemplate,
+            persona,
+            evidence,
+            factCheck: factCheckMode === 'mention' ? factCheckReport : null,
+            language
+        }));
+        const citations = extractCitations(aiResponse, evidence);
+        const spokenResponse = stripCitations(aiResponse);
         console.log('AI Response generated:', aiResponse.substring(0, 100) + '...');
+        if (evidenceLibrary) {
+            console.log(`Cited ${citations.length} of ${evidence.length} retrieved evidence cards`);
+        }
+
+        if (sessionId) {
+            await sessionStore.recordTurns(sessionId, { userEmail, topic, format: profile.id, tokenHash: job.request.sessionTokenHash }, [
+                studentTurn,
+                {
+                    fileId,
+                    jobId: job.jobId,
+                    side: 'ai',
+                    speechRole: profile.role.responseRole,
+                    text: spokenResponse
+                }
+            ]);
+            console.log(`Recorded round in session ${sessionId}`);
+        }
+
+        // Step 5: Generate voice-over for the response
+        console.log('Step 5: Generating voice-over...');
+        const voiceOver = await runStep('voice', 'audio', run => generateVoiceOver(spokenResponse, runId, {
+            ...voiceForLanguage(voiceOptions, language),
+            speed: voiceOptions.speed || profile.ttsSpeed
+        }, run));
+        console.log(`Voice-over generated: ${voiceOver.duration.toFixed(1)}s`);
 
-        // Step 3: Generate voice-over for the response
-        console.log('Step 3: Generating voice-over...');
-        const audioFile = await generateVoiceOver(aiResponse, fileId);
+        // Step 6: Create animated captions video, and caption tracks in the other requested languages
+        console.log('Step 6: Creating animated captions...');
+        const captionsVideo = await runStep('captions', 'captions', run => createAnimatedCaptions(voiceOver, runId, profile, layout, { visuals, topic, language, captionLanguages, media: run }));
 
-        // Step 4: Create animated captions video
-        console.log('Step 4: Creating animated captions...');
-        const captionsVideo = await createAnimatedCaptions(aiResponse, fileId);
+        // Step 7: Combine audio, captions and the original video into the final video
+        console.log(`Step 7: Combining into final video (${layout.id} layout)...`);
+        const finalVideo = await runStep('combine', 'final', run => combineVideoAndAudio(captionsVideo, voiceOver, runId, { layout, videoUrl, argumentBreakdown, media: run }));
 
-        // Step 5: Combine audio and captions into final video
-        console.log('Step 5: Combining into final video...');
-        const finalVideo = await combineVideoAndAudio(captionsVideo, audioFile, fileId);
+        // Step 8: Encode and upload the extra renditions
+        let renditions = [];
+        if (requestedRenditions.length === 0) {
+            await jobStore.skipStep(job, 'renditions');
+        } else {
+            console.log(`Step 8: Creating renditions (${requestedRenditions.join(', ')})...`);
+            renditions = await runStep('renditions', 'renditions', run => createRenditions(requestedRenditions, finalVideo, {
+                captionsVideo, voiceOver, fileId: runId, userEmail, profile, layout, visuals, language, videoUrl, media: run
+            }));
+        }
 
-        // Step 6: Upload final video to Cloud Storage
-        console.log('Step 6: Uploading final video...');
-        const finalVideoUrl = await uploadFinalVideo(finalVideo, fileId, userEmail);
+        // Step 9: Create and upload the previews of the original and the response
+        console.log('Step 9: Creating previews...');
+        const previews = await runStep('previews', 'previews', run => createAndUploadPreviews(finalVideo.path, runId, userEmail, videoUrl, run));
 
-        // Step 7: Send email notification
-        console.log('Step 7: Sending email notification...');
-        await sendEmailNotification(userEmail, finalVideoUrl, fileName);
+        // Step 10: Upload final video, caption sidecars, argument breakdown and fact-check report to Cloud Storage
+        console.log('Step 10: Uploading final video...');
+        const { finalVideoUrl, captionUrls, translatedCaptionUrls, argumentsUrl, factCheckUrl } = await runStep('upload', 'upload', async () => ({
+            finalVideoUrl: await uploadFinalVideo(finalVideo.path, runId, userEmail, { promptTemplate: formatTemplateRef(promptTemplate), language: language.code }),
+            captionUrls: await uploadCaptionFiles(finalVideo.cues, runId),
+            translatedCaptionUrls: await uploadTranslatedCaptions(finalVideo.translations || {}, runId),
+            argumentsUrl: await uploadArgumentBreakdown(argumentBreakdown, runId),
+            factCheckUrl: factCheckReport ? await uploadFactCheckReport(factCheckReport, runId) : null
+        }));
 
         const processingTime = Date.now() - startTime;
         console.log(`Video processing completed in ${processingTime}ms`);
 
-        res.status(200).json({
-            success: true,
-            message: 'Video processing completed successfully',
+        await jobStore.completeJob(job, {
             fileId: fileId,
+            version: job.request.version || 1,
+            mode: mode,
             finalVideoUrl: finalVideoUrl,
+            renditions: [
+                { type: 'mp4', name: '720p', url: finalVideoUrl, width: layout.frame.width, height: layout.frame.height },
+                ...renditions
+            ],
+            previews: previews,
+            captionUrls: captionUrls,
+            translatedCaptionUrls: translatedCaptionUrls || {},
+            argumentsUrl: argumentsUrl,
+            arguments: argumentBreakdown,
             processingTime: processingTime,
-            transcription: transcription.substring(0, 200) + '...',
-            aiResponse: aiResponse.substring(0, 200) + '...'
+            media: media,
+            transcription: transcription.text.substring(0, 200) + '...',
+            transcriptionProvider: transcription.provider,
+            transcriptionConfidence: transcription.confidence,
+            speakers: transcription.diarization.speakers,
+            sessionId: sessionId || null,
+            llm: describeLlm(),
+            language: {
+                spoken: transcription.language || null,
+                response: language.code,
+                captions: [language.code, ...Object.keys(translatedCaptionUrls || {})]
+            },
+            format: {
+                id: profile.id,
+                name: profile.name,
+                speechRole: profile.roleId,
+                responseRole: profile.role.responseRole
+            },
+            prompt: {
+                template: formatTemplateRef(promptTemplate),
+                id: promptTemplate.id,
+                version: promptTemplate.version,
+                persona: persona || DEFAULT_PERSONA
+            },
+            factCheck: factCheckReport ? {
+                mode: factCheckMode,
+                url: factCheckUrl || null,
+                ...factCheckReport
+            } : null,
+            evidence: evidenceLibrary ? {
+                libraryId: evidenceLibrary,
+                retrieved: evidence.length,
+                citations: citations
+            } : null,
+            aiResponse: aiResponse.substring(0, 200) + '...',
+            layout: finalVideo.layout,
+            visuals: {
+                style: visuals.style,
+                theme: visuals.theme ? visuals.theme.id : null,
+                slides: captionsVideo.slides || null
+            },
+            voice: {
+                provider: voiceOver.provider,
+                voice: voiceOver.voice,
+                language: voiceOver.language,
+                speed: voiceOver.speed,
+                duration: voiceOver.duration
+            }
+        });
+
+        // Step 11: Send email notification
+        console.log('Step 11: Sending email notification...');
+        await notifyResult(job, 'Your AI debate response video is ready', {
+            resultName: 'AI debate response video',
+            fileName: fileName,
+            topic: topic,
+            resultUrl: finalVideoUrl,
+            thumbnailUrl: previews.response.poster.url,
+            previewUrl: previews.response.animated.url,
+            transcriptExcerpt: transcriptExcerpt(transcription.text)
         });
+        return job;
 
     } catch (error) {
+        if (error.code === 'job_cancelled') {
+            console.log(`Job ${job.jobId} cancelled during ${job.currentStep || 'startup'}`);
+            return await jobStore.cancelJob(job, error);
+        }
         console.error('Video processing error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Video processing failed',
-            details: error.message
-        });
+        await jobStore.failJob(job, error).catch(err => console.error('Failed to record job failure:', err));
+        await sendEmailNotification(job, 'failure', 'We could not process your video', {
+            fileName: fileName,
+            step: job.error ? job.error.step : null,
+            errorMessage: error.message,
+            jobId: job.jobId
+        }).catch(err => console.error('Failed to send failure email:', err));
+        throw error;
+    } finally {
+        clearInterval(cancelPoll);
+        runningJobs.delete(job.jobId);
+        // The original and the voice-over are kept through the job for layouts and renditions that
+        // use them; a cancelled or failed step may also have left partial files behind
+        await cleanUpTempFiles(runId);
+
+        // The event is sent once the job's status is final, so GET /jobs/:id agrees with it
+        if (job.request.callbackUrl && (job.status === 'completed' || job.status === 'failed')) {
+            await sendCallback(job).catch(err => console.error('Failed to send callback:', err));
+        }
     }
-});
+}
+
+// POST the job's outcome to its callback URL, recording every attempt on the job
+async function sendCallback(job) {
+    const links = job.status === 'completed' ? await signJobResult(job, LINK_TTL_SECONDS) : null;
+    return deliverCallback(job.request.callbackUrl, buildCallbackEvent(job, links), {
+        onAttempt: delivery => jobStore.recordDelivery(job, 'callback', delivery)
+    });
+}
+
+// The callback event for a completed or failed job: its status, signed result URLs and a
+// summary of the transcript
+function buildCallbackEvent(job, links) {
+    const result = links ? links.result : {};
+    return {
+        event: `job.${job.status}`,
+        eventId: `${job.jobId}.${job.status}`,
+        jobId: job.jobId,
+        fileId: job.fileId,
+        version: job.version || 1,
+        mode: job.request.mode || 'respond',
+        status: job.status,
+        completedAt: job.completedAt,
+        statusUrl: `/jobs/${job.jobId}`,
+        linksUrl: `/jobs/${job.jobId}/links`,
+        linksExpireAt: links ? links.expiresAt : null,
+        urls: links ? {
+            video: links.finalVideoUrl,
+            renditions: result.renditions || [],
+            captions: result.captionUrls || null,
+            translatedCaptions: result.translatedCaptionUrls || {},
+            poster: result.previews ? result.previews.response.poster.url : null,
+            arguments: result.argumentsUrl || null,
+            factCheck: result.factCheck ? result.factCheck.url : null,
+            ballot: result.ballotUrls || null
+        } : null,
+        transcript: links ? {
+            excerpt: result.transcription,
+            language: result.language ? result.language.spoken : null,
+            speakers: (result.speakers || []).map(speaker => speaker.name)
+        } : null,
+        error: job.error || null
+    };
+}
+
+// Remove the temporary files and directories of a run: /tmp/<runId>_* and the previews'
+// /tmp/<source>_<runId>_*. A later version's <fileId>-v<n> files do not match its fileId.
+async function cleanUpTempFiles(runId) {
+    const names = await fs.readdir('/tmp').catch(() => []);
+    for (const name of names.filter(name => name.startsWith(`${runId}_`) || name.includes(`_${runId}_`))) {
+        await fs.rm(path.join('/tmp', name), { recursive: true, force: true }).catch(() => {});
+    }
+}
+
+// A job's final video URL and result with their stored references replaced by signed URLs.
+// The HLS ladder is linked through /jobs/:id/hls/, which signs its segments.
+async function signJobResult(job, ttlSeconds) {
+    let result = job.result || null;
+    if (result && result.renditions) {
+        const base = `/jobs/${job.jobId}/hls/`;
+        result = {
+            ...result,
+            renditions: result.renditions.map(rendition => rendition.type !== 'hls' ? rendition : {
+                ...rendition,
+                url: `${base}master.m3u8`,
+                variants: (rendition.variants || []).map(variant => ({ ...variant, url: `${base}${variant.playlist}` }))
+            })
+        };
+    }
+
+    const { value, expiresAt } = await urlSigner.signUrls({ finalVideoUrl: job.finalVideoUrl || null, result }, ttlSeconds);
+    return { ...value, expiresAt };
+}
+
+// Whether the upload for fileId that a job reads is still stored
+async function isUploadStored(videoUrl, fileId) {
+    const name = uploadObjectName(videoUrl, bucket.name, fileId);
+    if (!name) return false;
+    const [exists] = await bucket.file(name).exists();
+    return exists;
+}
 
-// Download video and transcribe using FFmpeg and speech recognition
-async function downloadAndTranscribe(videoUrl, fileId) {
-    const videoPath = `/tmp/${fileId}_input.mp4`;
+// An error that fails a job with the given error code
+function jobError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function originalVideoPath(fileId) {
+    return `/tmp/${fileId}_input.mp4`;
+}
+
+// Download the original upload unless an earlier step of the job already did. Uploads are
+// read from the upload bucket with the service's credentials, as the bucket is private.
+async function ensureOriginalVideo(videoUrl, fileId, media = {}) {
+    const videoPath = originalVideoPath(fileId);
+    const present = await fs.access(videoPath).then(() => true, () => false);
+    if (!present) {
+        console.log('Downloading video from:', videoUrl);
+        const name = urlSigner.objectName(videoUrl);
+        if (!name) throw jobError('invalid_upload', `Not an upload in the upload bucket: ${videoUrl}`);
+        try {
+            await pipeline(
+                bucket.file(name).createReadStream(),
+                createWriteStream(videoPath),
+                { signal: media.signal }
+            );
+        } catch (error) {
+            // A partial download must not be mistaken for the original by a later step
+            await fs.unlink(videoPath).catch(() => {});
+            throw error;
+        }
+    }
+    return videoPath;
+}
+
+// Check the original can be processed before any work is spent on it. The stored upload
+// keeps the extension it was uploaded with, so its container can be checked against it.
+async function inspectOriginalVideo(videoUrl, fileId, fileName, media = {}) {
+    const videoPath = await ensureOriginalVideo(videoUrl, fileId, media);
+    const extension = path.extname(urlSigner.objectName(videoUrl) || '') || path.extname(fileName || '');
+    return inspectMedia(videoPath, { extension, signal: media.signal });
+}
+
+// Download video, transcribe using FFmpeg and speech recognition, and label speakers
+async function downloadAndTranscribe(videoUrl, fileId, options = {}) {
     const audioPath = `/tmp/${fileId}_audio.wav`;
     
     try {
         // Download video
-        console.log('Downloading video from:', videoUrl);
-        await execAsync(`curl -L "${videoUrl}" -o "${videoPath}"`);
+        const videoPath = await ensureOriginalVideo(videoUrl, fileId, options.media);
         
         // Extract audio
         console.log('Extracting audio...');
-        await execAsync(`ffmpeg -i "${videoPath}" -vn -acodec pcm_s16le -ar 16000 -ac 1 "${audioPath}" -y`);
+        await runFfmpeg(['-i', videoPath, '-vn', '-acodec', 'pcm_s16le', '-ar', '16000', '-ac', '1', audioPath], options.media);
         
-        // Use Google Speech-to-Text (you'll need to set up credentials)
-        // For now, we'll use a simple transcription service or mock
-        const transcription = await mockTranscription(audioPath);
+        // Transcribe with the configured speech-to-text provider
+        const speakerNames = options.speakerNames || [];
+        const maxSpeakers = speakerNames.length > 0 ? speakerNames.length : undefined;
+        const transcription = await transcribe(audioPath, { bucket, fileId, diarize: true, maxSpeakers, media: options.media });
+
+        // Label transcript segments by speaker while the audio is still on disk
+        transcription.diarization = await diarize(audioPath, transcription, { speakerNames, maxSpeakers, media: options.media });
         
-        // Clean up temporary files
-        await fs.unlink(videoPath).catch(() => {});
+        // Clean up temporary files; the video is kept for the final layout
         await fs.unlink(audioPath).catch(() => {});
         
         return transcription;
@@ -142,121 +1427,313 @@ async function downloadAndTranscribe(videoUrl, fileId) {
     }
 }
 
-// Mock transcription (replace with actual Google Speech-to-Text)
-async function mockTranscription(audioPath) {
-    // In production, use Google Speech-to-Text API
-    // For now, return a mock transcription
-    return "This is a mock transcription of the debate video. The speaker discusses important topics and presents arguments that need to be addressed.";
+// Language model used for the job, recorded in its result
+function describeLlm() {
+    const { provider, model } = resolveLlmSettings();
+    return { provider, model };
 }
 
-// Generate AI response using Gemini
-async function generateAIResponse(transcription, topic) {
-    try {
-        const model = genAI.getGenerativeModel({ model: "gemini-pro" });
-        
-        const prompt = `You are an expert debate coach and AI assistant. Analyze the following debate video transcription and provide a thoughtful, engaging response.
-
-Transcription: "${transcription}"
+// Multi-speaker rounds get a speaker-labeled transcript so the response can address each debater
+function transcriptForPrompt(transcription) {
+    return transcription.diarization.speakers.length > 1
+        ? formatLabeledTranscript(transcription.diarization)
+        : transcription.text;
+}
 
-Topic: ${topic || 'General debate'}
+// Generate AI response with the configured language model from a prompt template, shaped by
+// the debate format profile and session history
+async function generateAIResponse(transcription, topic, profile, sessionContext = '', options = {}) {
+    try {
+        const speakers = transcription.diarization.speakers;
+        const transcriptText = transcriptForPrompt(transcription);
+        const speakerNote = speakers.length > 1
+            ? `\nThe transcription is labeled by speaker (${speakers.map(s => s.name).join(', ')}). Address each debater's points by name.\n`
+            : '';
 
-Please provide:
-1. A brief acknowledgment of the speaker's points
-2. A thoughtful counter-argument or additional perspective
-3. Constructive feedback or suggestions
-4. An encouraging conclusion
+        const historyNote = sessionContext
+            ? `\nEarlier in this debate session (oldest first). Build on it: don't repeat answered points, extend your earlier arguments and hold the student to what they said before.\n${sessionContext}\n`
+            : '';
+        const structure = profile.structure.map((item, index) => `${index + 1}. ${item}`).join('\n');
 
-Make your response engaging, respectful, and educational. Aim for approximately 150-200 words that would take about 60-90 seconds to speak naturally.`;
+        const language = options.language || resolveLanguage();
+        const template = loadTemplate(options.promptTemplate || resolveTemplateRef());
+        let prompt = renderTemplate(template, {
+            persona: options.persona || DEFAULT_PERSONA,
+            format: profile.name,
+            speechRole: profile.role.name,
+            side: profile.role.responseRole,
+            history: historyNote,
+            transcript: transcriptText,
+            speakerNote: speakerNote,
+            topic: topic || 'General debate',
+            structure: structure,
+            vocabulary: profile.vocabulary,
+            evidence: formatEvidenceForPrompt(options.evidence || []),
+            factCheck: formatFactCheckForPrompt(options.factCheck),
+            minWords: profile.responseWords[0],
+            maxWords: profile.responseWords[1],
+            minSeconds: profile.responseSeconds[0],
+            maxSeconds: profile.responseSeconds[1],
+            language: language.name
+        });
+        // Templates before response@4 have no {{language}}, so the instruction goes after them
+        if (!usesVariable(template, 'language') && language.code !== 'en') {
+            prompt += `\n\nWrite the whole response in ${language.name}.`;
+        }
 
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        return response.text();
+        return await generateText(prompt);
     } catch (error) {
-        console.error('Gemini API error:', error);
+        console.error('Language model error:', error);
+        if (error instanceof LlmError) throw error;
         throw new Error(`AI response generation failed: ${error.message}`);
     }
 }
 
-// Generate voice-over using text-to-speech
-async function generateVoiceOver(text, fileId) {
+// Generate voice-over using the configured text-to-speech provider
+async function generateVoiceOver(text, fileId, voiceOptions = {}, media = {}) {
     const audioPath = `/tmp/${fileId}_response.wav`;
     
     try {
-        // Use Google Text-to-Speech API
-        // For now, we'll use a simple TTS service
-        await mockTextToSpeech(text, audioPath);
+        const speech = await synthesize(text, audioPath, voiceOptions || {}, media);
         
-        return audioPath;
+        return { path: audioPath, ...speech };
     } catch (error) {
         console.error('Voice generation error:', error);
         throw new Error(`Voice generation failed: ${error.message}`);
     }
 }
 
-// Mock text-to-speech (replace with actual Google TTS)
-async function mockTextToSpeech(text, outputPath) {
-    // In production, use Google Text-to-Speech API
-    // For now, create a silent audio file
-    await execAsync(`ffmpeg -f lavfi -i anullsrc=channel_layout=stereo:sample_rate=44100 -t 60 -c:a pcm_s16le "${outputPath}" -y`);
-}
-
-// Create animated captions video
-async function createAnimatedCaptions(text, fileId) {
+// Create animated captions video timed to the voice-over, sized for the layout's caption panel,
+// over a slide deck when the visuals call for slides. Cues in the other caption languages are
+// translated sentence by sentence and keep the voice-over's sentence timings.
+async function createAnimatedCaptions(voiceOver, fileId, profile, layout, options = {}) {
     const captionsPath = `/tmp/${fileId}_captions.mp4`;
+    const visuals = options.visuals || { style: 'captions', theme: null };
+    const language = options.language || resolveLanguage();
     
     try {
-        // Split text into sentences for captions
-        const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
+        // Build caption cues from the TTS word or sentence timings
+        const maxLineChars = Math.min(profile.captionLineChars, layout.maxLineChars || Infinity);
+        const cues = buildCues(voiceOver, { maxLineChars, direction: language.direction });
+        
+        const translations = {};
+        for (const code of options.captionLanguages || []) {
+            const target = resolveLanguage(code);
+            const sentences = await translateSentences(voiceOver.sentences, language, target, generateText);
+            translations[code] = buildCues({ sentences, words: null }, { maxLineChars, direction: target.direction });
+        }
+        
+        // Plan the slides from the narration's structure
+        const slides = visuals.style === 'slides'
+            ? await planSlides(voiceOver, { topic: options.topic, profile }, generateText)
+            : null;
         
-        // Create a video with animated text captions
-        await createCaptionsVideo(sentences, captionsPath);
+        // Burn the cues into a video as long as the voice-over
+        await createCaptionsVideo(cues, captionsPath, voiceOver.duration, layout.panel, slides && { slides, theme: visuals.theme }, language, options.media);
         
-        return captionsPath;
+        return { path: captionsPath, cues, translations, slides };
     } catch (error) {
         console.error('Captions creation error:', error);
         throw new Error(`Captions creation failed: ${error.message}`);
     }
 }
 
-// Create captions video using FFmpeg
-async function createCaptionsVideo(sentences, outputPath) {
+// Create captions video using FFmpeg, burning in the cues with the subtitles filter on top of
+// the slides, if any, in a font for the language's script
+async function createCaptionsVideo(cues, outputPath, duration, size = { width: 1280, height: 720 }, deck = null, language = resolveLanguage(), media = {}) {
+    const srtPath = outputPath.replace(/\.mp4$/, '.srt');
+    const filterPath = outputPath.replace(/\.mp4$/, '.filter.txt');
+    const slides = deck
+        ? buildSlideFilters(deck.slides, deck.theme, size, outputPath.replace(/\.mp4$/, ''), language)
+        : { filters: [], files: [], background: 'black' };
+
     try {
-        // Create a video with animated text
-        const filterComplex = sentences.map((sentence, index) => {
-            const startTime = index * 3; // 3 seconds per sentence
-            return `drawtext=text='${sentence.replace(/'/g, "\\'")}':fontsize=24:fontcolor=white:x=(w-text_w)/2:y=h-th-50:enable='between(t,${startTime},${startTime + 2.5})':box=1:boxcolor=black@0.5`;
-        }).join(',');
+        await fs.writeFile(srtPath, toSrt(cues), 'utf8');
+        for (const file of slides.files) {
+            await fs.writeFile(file.path, file.contents, 'utf8');
+        }
 
-        const duration = sentences.length * 3;
-        
-        await execAsync(`ffmpeg -f lavfi -i color=size=1280x720:duration=${duration}:rate=30:color=black -vf "${filterComplex}" -c:v libx264 -preset fast -crf 23 "${outputPath}" -y`);
+        const style = `FontName=${language.font},FontSize=12,PrimaryColour=&H00FFFFFF,BorderStyle=3,BackColour=&H80000000,Outline=1,Shadow=0,MarginV=25`;
+        const filters = [...slides.filters, `subtitles='${srtPath}':force_style='${style}'`];
+        await fs.writeFile(filterPath, filters.join(','), 'utf8');
+        await runFfmpeg(['-f', 'lavfi', '-i', `color=size=${size.width}x${size.height}:duration=${duration.toFixed(2)}:rate=30:color=${slides.background}`,
+            '-filter_script:v', filterPath, '-c:v', 'libx264', '-preset', 'fast', '-crf', '23', outputPath], { ...media, duration });
         
     } catch (error) {
         console.error('FFmpeg captions error:', error);
         throw error;
+    } finally {
+        await fs.unlink(srtPath).catch(() => {});
+        await fs.unlink(filterPath).catch(() => {});
+        for (const file of slides.files) {
+            await fs.unlink(file.path).catch(() => {});
+        }
     }
 }
 
-// Combine video and audio
-async function combineVideoAndAudio(videoPath, audioPath, fileId) {
+// Combine the captions video and voice-over, with the original video for layouts that show it
+async function combineVideoAndAudio(captionsVideo, voiceOver, fileId, options) {
     const finalPath = `/tmp/${fileId}_final.mp4`;
+    const { layout, videoUrl, argumentBreakdown, media } = options;
     
     try {
-        await execAsync(`ffmpeg -i "${videoPath}" -i "${audioPath}" -c:v copy -c:a aac -strict experimental "${finalPath}" -y`);
+        const segments = layout.id === 'alternating' ? planAlternatingSegments(argumentBreakdown, voiceOver) : null;
+        await composeVideo(layout, {
+            panelPath: captionsVideo.path,
+            audioPath: voiceOver.path,
+            originalPath: layout.usesOriginal ? await ensureOriginalVideo(videoUrl, fileId, media) : null,
+            outputPath: finalPath,
+            duration: voiceOver.duration,
+            segments: segments
+        }, media);
         
-        // Clean up intermediate files
-        await fs.unlink(videoPath).catch(() => {});
-        await fs.unlink(audioPath).catch(() => {});
+        // Clean up intermediate files; the voice-over is kept for the renditions
+        await fs.unlink(captionsVideo.path).catch(() => {});
         
-        return finalPath;
+        // Caption sidecars follow the response's place in the final video
+        const place = cues => segments ? shiftCues(cues, segments) : cues;
+        return {
+            path: finalPath,
+            layout: layout.id,
+            segments: segments,
+            cues: place(captionsVideo.cues),
+            translations: Object.fromEntries(Object.entries(captionsVideo.translations || {}).map(([code, cues]) => [code, place(cues)]))
+        };
     } catch (error) {
         console.error('Video combination error:', error);
         throw new Error(`Video combination failed: ${error.message}`);
     }
 }
 
+// Encode the requested renditions of the final video and upload them next to it as
+// responses/response_<fileId>_hls/master.m3u8, response_<fileId>_480p.mp4 and
+// response_<fileId>_vertical.mp4
+async function createRenditions(requested, finalVideo, options) {
+    const { captionsVideo, voiceOver, fileId, userEmail, profile, layout, visuals, language, videoUrl, media } = options;
+    const renditions = [];
+    const upload = (localPath, name, contentType, rendition, resumable = true) => uploadResultFile(localPath, `responses/${name}`, {
+        contentType, fileId, userEmail, resumable, type: 'ai_response_rendition', metadata: { rendition }
+    });
+
+    try {
+        if (requested.includes('hls')) {
+            const outputDir = `/tmp/${fileId}_hls`;
+            try {
+                const hls = await encodeHls(finalVideo.path, outputDir, media);
+                const urls = {};
+                for (const file of hls.files) {
+                    urls[file.name] = await upload(file.path, `response_${fileId}_hls/${file.name}`, file.contentType, 'hls', false);
+                }
+                renditions.push({
+                    type: 'hls',
+                    url: urls['master.m3u8'],
+                    variants: hls.variants.map(variant => ({ ...variant, url: urls[variant.playlist] }))
+                });
+            } finally {
+                await fs.rm(outputDir, { recursive: true, force: true }).catch(() => {});
+            }
+        }
+
+        if (requested.includes('mp4-480p')) {
+            const lowBandwidth = await encodeLowBandwidth(finalVideo.path, `/tmp/${fileId}_480p.mp4`, media);
+            renditions.push({
+                type: 'mp4-480p',
+                url: await upload(lowBandwidth.path, `response_${fileId}_480p.mp4`, 'video/mp4', 'mp4-480p'),
+                width: lowBandwidth.width,
+                height: lowBandwidth.height
+            });
+        }
+
+        if (requested.includes('vertical')) {
+            // Re-flow the captions and slides for the narrow frame and compose the layout again
+            const vertical = verticalLayout(layout);
+            const panelPath = `/tmp/${fileId}_vertical_captions.mp4`;
+            const outputPath = `/tmp/${fileId}_vertical.mp4`;
+            const cues = buildCues(voiceOver, {
+                maxLineChars: Math.min(profile.captionLineChars, vertical.maxLineChars),
+                direction: language.direction
+            });
+            const deck = captionsVideo.slides ? { slides: captionsVideo.slides, theme: visuals.theme } : null;
+            await createCaptionsVideo(cues, panelPath, voiceOver.duration, vertical.panel, deck, language, media);
+            await composeVideo(vertical, {
+                panelPath,
+                audioPath: voiceOver.path,
+                originalPath: vertical.usesOriginal ? await ensureOriginalVideo(videoUrl, fileId, media) : null,
+                outputPath,
+                duration: voiceOver.duration,
+                segments: finalVideo.segments
+            }, media);
+            renditions.push({
+                type: 'vertical',
+                url: await upload(outputPath, `response_${fileId}_vertical.mp4`, 'video/mp4', 'vertical'),
+                width: vertical.frame.width,
+                height: vertical.frame.height
+            });
+        }
+
+        return renditions;
+    } catch (error) {
+        console.error('Rendition error:', error);
+        throw new Error(`Rendition encoding failed: ${error.message}`);
+    } finally {
+        for (const name of ['480p', 'vertical_captions', 'vertical']) {
+            await fs.unlink(`/tmp/${fileId}_${name}.mp4`).catch(() => {});
+        }
+    }
+}
+
+// Create the poster, thumbnail strip and animated preview of the original upload and of the
+// response video, and upload them next to the response as
+// responses/{original,response}_<fileId>_poster.jpg, _thumbnails.jpg and _preview.gif
+async function createAndUploadPreviews(finalVideoPath, fileId, userEmail, videoUrl, media = {}) {
+    const sources = {
+        original: await ensureOriginalVideo(videoUrl, fileId, media),
+        response: finalVideoPath
+    };
+    const contentTypes = { poster: 'image/jpeg', thumbnails: 'image/jpeg', animated: 'image/gif' };
+    const previews = {};
+
+    try {
+        for (const [source, videoPath] of Object.entries(sources)) {
+            const created = await createPreviews(videoPath, `/tmp/${source}_${fileId}`, media);
+            previews[source] = {};
+            for (const [kind, preview] of Object.entries(created)) {
+                const { path: localPath, ...details } = preview;
+                const url = await uploadResultFile(localPath, `responses/${path.basename(localPath)}`, {
+                    contentType: contentTypes[kind], fileId, userEmail, resumable: false, type: 'preview', metadata: { source, preview: kind }
+                });
+                await fs.unlink(localPath).catch(() => {});
+                previews[source][kind] = { url, ...details };
+            }
+        }
+        return previews;
+    } catch (error) {
+        console.error('Preview error:', error);
+        throw new Error(`Preview creation failed: ${error.message}`);
+    }
+}
+
+// Upload a file produced for the job's result to Cloud Storage
+async function uploadResultFile(localPath, filePath, details) {
+    const file = bucket.file(filePath);
+    await file.save(await fs.readFile(localPath), {
+        resumable: details.resumable,
+        metadata: {
+            contentType: details.contentType,
+            metadata: {
+                originalFileId: details.fileId,
+                userEmail: details.userEmail,
+                type: details.type,
+                ...details.metadata
+            }
+        }
+    });
+
+    return urlSigner.storageUrl(filePath);
+}
+
 // Upload final video to Cloud Storage
-async function uploadFinalVideo(videoPath, fileId, userEmail) {
+async function uploadFinalVideo(videoPath, fileId, userEmail, extraMetadata = {}) {
     try {
         const fileName = `response_${fileId}.mp4`;
         const filePath = `responses/${fileName}`;
@@ -269,50 +1746,184 @@ async function uploadFinalVideo(videoPath, fileId, userEmail) {
                     originalFileId: fileId,
                     userEmail: userEmail,
                     processedAt: new Date().toISOString(),
-                    type: 'ai_response'
+                    type: 'ai_response',
+                    ...extraMetadata
                 }
             }
         });
 
-        // Make file publicly readable
-        await file.makePublic();
-        
         // Clean up local file
         await fs.unlink(videoPath).catch(() => {});
         
-        return `https://storage.googleapis.com/${bucket.name}/${filePath}`;
+        return urlSigner.storageUrl(filePath);
     } catch (error) {
         console.error('Upload error:', error);
         throw new Error(`Final video upload failed: ${error.message}`);
     }
 }
 
-// Send email notification
-async function sendEmailNotification(userEmail, videoUrl, originalFileName) {
+// Upload SRT and WebVTT caption files next to the final video; tracks in another language than
+// the response's carry its code before the extension
+async function uploadCaptionFiles(cues, fileId, language = null) {
     try {
-        // In production, use a proper email service like SendGrid or Gmail API
-        console.log(`Email notification would be sent to ${userEmail} with video URL: ${videoUrl}`);
-        
-        // For now, just log the notification
-        const emailContent = `
-            Hello!
-            
-            Your AI debate response video is ready!
-            
-            Original file: ${originalFileName}
-            Response video: ${videoUrl}
-            
-            Thank you for using our AI Debate Response System!
-        `;
-        
-        console.log('Email content:', emailContent);
-        
+        const captionFiles = {
+            srt: { contents: toSrt(cues), contentType: 'application/x-subrip' },
+            vtt: { contents: toWebVtt(cues), contentType: 'text/vtt' }
+        };
+
+        const urls = {};
+        for (const [extension, caption] of Object.entries(captionFiles)) {
+            const filePath = `responses/response_${fileId}${language ? `.${language}` : ''}.${extension}`;
+            const file = bucket.file(filePath);
+            await file.save(caption.contents, {
+                resumable: false,
+                metadata: {
+                    contentType: `${caption.contentType}; charset=utf-8`,
+                    metadata: {
+                        originalFileId: fileId,
+                        type: 'ai_response_captions',
+                        ...(language ? { language } : {})
+                    }
+                }
+            });
+            urls[extension] = urlSigner.storageUrl(filePath);
+        }
+
+        return urls;
+    } catch (error) {
+        console.error('Caption upload error:', error);
+        throw new Error(`Caption upload failed: ${error.message}`);
+    }
+}
+
+// Upload the translated caption tracks, keyed by language
+async function uploadTranslatedCaptions(translations, fileId) {
+    const urls = {};
+    for (const [language, cues] of Object.entries(translations)) {
+        urls[language] = await uploadCaptionFiles(cues, fileId, language);
+    }
+    return urls;
+}
+
+// Upload the argument breakdown next to the final video
+async function uploadArgumentBreakdown(argumentBreakdown, fileId) {
+    try {
+        const filePath = `responses/response_${fileId}_arguments.json`;
+        const file = bucket.file(filePath);
+        await file.save(JSON.stringify(argumentBreakdown, null, 2), {
+            resumable: false,
+            metadata: {
+                contentType: 'application/json',
+                metadata: {
+                    originalFileId: fileId,
+                    type: 'ai_response_arguments'
+                }
+            }
+        });
+
+        return urlSigner.storageUrl(filePath);
+    } catch (error) {
+        console.error('Argument breakdown upload error:', error);
+        throw new Error(`Argument breakdown upload failed: ${error.message}`);
+    }
+}
+
+// Upload the fact-check report next to the final video
+async function uploadFactCheckReport(report, fileId) {
+    try {
+        const filePath = `responses/response_${fileId}_factcheck.json`;
+        const file = bucket.file(filePath);
+        await file.save(JSON.stringify(report, null, 2), {
+            resumable: false,
+            metadata: {
+                contentType: 'application/json',
+                metadata: {
+                    originalFileId: fileId,
+                    type: 'ai_response_factcheck'
+                }
+            }
+        });
+
+        return urlSigner.storageUrl(filePath);
+    } catch (error) {
+        console.error('Fact-check report upload error:', error);
+        throw new Error(`Fact-check report upload failed: ${error.message}`);
+    }
+}
+
+// Upload the ballot as JSON, HTML and PDF next to the response files
+async function uploadBallot(ballot, fileId, userEmail) {
+    const pdfPath = `/tmp/${fileId}_ballot.pdf`;
+
+    try {
+        await renderBallotPdf(ballot, pdfPath);
+        const ballotFiles = {
+            json: { contents: JSON.stringify(ballot, null, 2), contentType: 'application/json' },
+            html: { contents: renderBallotHtml(ballot), contentType: 'text/html; charset=utf-8' },
+            pdf: { contents: await fs.readFile(pdfPath), contentType: 'application/pdf' }
+        };
+
+        const urls = {};
+        for (const [extension, ballotFile] of Object.entries(ballotFiles)) {
+            const filePath = `responses/ballot_${fileId}.${extension}`;
+            const file = bucket.file(filePath);
+            await file.save(ballotFile.contents, {
+                resumable: false,
+                metadata: {
+                    contentType: ballotFile.contentType,
+                    metadata: {
+                        originalFileId: fileId,
+                        userEmail: userEmail,
+                        processedAt: new Date().toISOString(),
+                        type: 'ai_ballot'
+                    }
+                }
+            });
+            urls[extension] = urlSigner.storageUrl(filePath);
+        }
+
+        return urls;
+    } catch (error) {
+        console.error('Ballot upload error:', error);
+        throw new Error(`Ballot upload failed: ${error.message}`);
+    } finally {
+        await fs.unlink(pdfPath).catch(() => {});
+    }
+}
+
+// Email the result of a job once completeJob has stored it, so GET /jobs/:id and the
+// /jobs/:id/download link in the email already serve it. A failure is recorded on the notify
+// step and leaves the job completed.
+async function notifyResult(job, subject, variables) {
+    try {
+        await jobStore.startStep(job, 'notify');
+        await sendEmailNotification(job, 'result', subject, variables);
+        await jobStore.completeStep(job, 'notify');
     } catch (error) {
-        console.error('Email notification error:', error);
-        // Don't fail the whole process if email fails
+        console.error('Failed to send result email:', error);
+        await jobStore.failStep(job, 'notify', error).catch(err => console.error('Failed to record notify failure:', err));
     }
 }
 
+// Email the user about the job's outcome and record the delivery on the job. A failed
+// delivery is recorded but does not fail the job.
+async function sendEmailNotification(job, template, subject, variables) {
+    // The links are signed to last as long as signed URLs can. When the service's public URL is
+    // known, the result link goes through /jobs/:id/download instead, which does not expire.
+    const { value: links, expiresAt } = await urlSigner.signUrls(variables, LINK_TTL_SECONDS);
+    const durableLink = PUBLIC_BASE_URL && variables.resultUrl ? `${PUBLIC_BASE_URL}/jobs/${job.jobId}/download` : null;
+    const delivery = await deliverMail({
+        to: job.request.userEmail,
+        ...composeEmail(template, subject, {
+            ...links,
+            resultUrl: durableLink || links.resultUrl,
+            linksExpireAt: variables.resultUrl && !durableLink ? new Date(expiresAt).toUTCString() : null
+        })
+    });
+    await jobStore.recordDelivery(job, 'email', delivery);
+    return delivery;
+}
+
 // Error handling middleware
 app.use((error, req, res, next) => {
     console.error('Unhandled error:', error);
@@ -323,6 +1934,16 @@ app.use((error, req, res, next) => {
     });
 });
 
+// Cloud Run sends SIGTERM before it stops an instance. Abort the running jobs so their encodes
+// stop and they are recorded as failed, ready to retry, then exit.
+process.on('SIGTERM', () => {
+    console.log(`SIGTERM received, aborting ${runningJobs.size} running job(s)`);
+    for (const controller of runningJobs.values()) {
+        controller.abort(jobError('instance_shutdown', 'The instance running the job shut down'));
+    }
+    setTimeout(() => process.exit(0), runningJobs.size > 0 ? 5000 : 0);
+});
+
 app.listen(port, () => {
     console.log(`AI Debate Video Processor listening on port ${port}`);
     console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -0,0 +1,143 @@
+const path = require('path');
+const { runFfprobe } = require('./media');
+
+// ffprobe inspection of uploaded videos, run for the upload handlers once an upload is stored
+// (POST /uploads/:fileId/inspect) and again when processing starts. A file that cannot be
+// processed is rejected with a MediaInspectionError whose code tells the client why:
+//   media_unreadable       - ffprobe cannot read it (corrupt, truncated or not a media file)
+//   unsupported_container  - the extension is not one of the accepted containers
+//   container_mismatch     - the container is not the one the extension says
+//   no_video_stream        - there is no video to show
+//   no_audio_stream        - there is no speech to transcribe
+//   unsupported_codec      - a video or audio codec outside the allowed lists
+//   duration_exceeded      - longer than MAX_MEDIA_DURATION_SECONDS
+
+const PROBE_TIMEOUT_MS = 2 * 60 * 1000;
+const MAX_DURATION_SECONDS = parseFloat(process.env.MAX_MEDIA_DURATION_SECONDS || '3600');
+const VIDEO_CODECS = (process.env.ALLOWED_VIDEO_CODECS || 'h264,hevc,vp8,vp9,av1,mpeg4').split(',').map(codec => codec.trim());
+const AUDIO_CODECS = (process.env.ALLOWED_AUDIO_CODECS || 'aac,mp3,opus,vorbis,flac,pcm_s16le,ac3').split(',').map(codec => codec.trim());
+
+// Accepted extensions and the format names ffprobe reports for their containers
+const CONTAINERS = {
+    '.mp4': ['mp4', 'mov'],
+    '.m4v': ['mp4', 'mov'],
+    '.mov': ['mov'],
+    '.3gp': ['3gp', 'mov'],
+    '.webm': ['webm', 'matroska'],
+    '.mkv': ['matroska'],
+    '.avi': ['avi'],
+    '.mpeg': ['mpeg'],
+    '.mpg': ['mpeg']
+};
+
+class MediaInspectionError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'MediaInspectionError';
+        this.code = code;
+    }
+}
+
+// Inspect a media file, resolving to its container, duration and streams or throwing a
+// MediaInspectionError. options.extension is the extension the upload was named with;
+// options.signal aborts the probe.
+async function inspectMedia(filePath, options = {}) {
+    const extension = (options.extension !== undefined ? options.extension : path.extname(filePath)).toLowerCase();
+
+    const expected = CONTAINERS[extension];
+    if (!expected) {
+        throw new MediaInspectionError('unsupported_container', `Unsupported file type "${extension || '(none)'}". Accepted: ${Object.keys(CONTAINERS).join(', ')}`);
+    }
+
+    let probe;
+    try {
+        const stdout = await runFfprobe(['-show_format', '-show_streams', '-of', 'json', filePath], {
+            maxBuffer: 10 * 1024 * 1024,
+            timeout: PROBE_TIMEOUT_MS,
+            signal: options.signal
+        });
+        probe = JSON.parse(stdout);
+    } catch (error) {
+        if (options.signal && options.signal.aborted) throw options.signal.reason || error;
+        console.log('ffprobe could not read the file:', error.message);
+        throw new MediaInspectionError('media_unreadable', 'The file could not be read as a video. It may be corrupt or incomplete.');
+    }
+
+    const format = probe.format || {};
+    const formatNames = (format.format_name || '').split(',');
+    if (!formatNames.some(name => expected.includes(name))) {
+        throw new MediaInspectionError('container_mismatch', `The file is named ${extension} but contains ${format.format_long_name || format.format_name || 'an unknown format'}`);
+    }
+
+    const streams = probe.streams || [];
+    // Cover art is a video stream too; it is not a video to show
+    const video = streams.find(stream => stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic));
+    const audio = streams.find(stream => stream.codec_type === 'audio');
+    if (!video) {
+        throw new MediaInspectionError('no_video_stream', 'The file has no video');
+    }
+    if (!audio) {
+        throw new MediaInspectionError('no_audio_stream', 'The file has no audio, so there is no speech to respond to');
+    }
+    if (!VIDEO_CODECS.includes(video.codec_name)) {
+        throw new MediaInspectionError('unsupported_codec', `Unsupported video codec ${video.codec_name}. Accepted: ${VIDEO_CODECS.join(', ')}`);
+    }
+    if (!AUDIO_CODECS.includes(audio.codec_name)) {
+        throw new MediaInspectionError('unsupported_codec', `Unsupported audio codec ${audio.codec_name}. Accepted: ${AUDIO_CODECS.join(', ')}`);
+    }
+
+    const duration = parseFloat(format.duration) || await probeAudioDuration(filePath, options.signal);
+    if (!duration) {
+        throw new MediaInspectionError('media_unreadable', 'The length of the file could not be read. It may be corrupt or incomplete.');
+    }
+    if (duration > MAX_DURATION_SECONDS) {
+        throw new MediaInspectionError('duration_exceeded', `The video is ${formatMinutes(duration)} long; the limit is ${formatMinutes(MAX_DURATION_SECONDS)}`);
+    }
+
+    return {
+        container: format.format_name,
+        extension: extension,
+        duration: duration,
+        size: parseInt(format.size, 10) || null,
+        video: {
+            codec: video.codec_name,
+            width: video.width,
+            height: video.height
+        },
+        audio: {
+            codec: audio.codec_name,
+            channels: audio.channels,
+            sampleRate: parseInt(audio.sample_rate, 10) || null
+        }
+    };
+}
+
+// Browser recordings (WebM from MediaRecorder) often carry no duration; read it from the
+// timestamp of the last audio packet instead
+async function probeAudioDuration(filePath, signal) {
+    try {
+        const stdout = await runFfprobe(['-select_streams', 'a:0', '-show_entries', 'packet=pts_time', '-of', 'csv=p=0', filePath], {
+            maxBuffer: 64 * 1024 * 1024,
+            timeout: PROBE_TIMEOUT_MS,
+            signal: signal
+        });
+        // Long recordings have far too many packets to spread into Math.max
+        let last = null;
+        for (const line of stdout.split('\n')) {
+            const time = parseFloat(line);
+            if (Number.isFinite(time) && (last === null || time > last)) last = time;
+        }
+        return last;
+    } catch (error) {
+        return null;
+    }
+}
+
+function formatMinutes(seconds) {
+    return `${Math.round(seconds / 60)} minutes`;
+}
+
+module.exports = {
+    MediaInspectionError,
+    inspectMedia
+};
@@ -0,0 +1,342 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Processing jobs are stored as JSON objects under jobs/ in the upload bucket so their
+// state survives instance restarts and can be read by any instance.
+//
+// An upload can be processed several times with different options. Each run is a version,
+// listed in versions/<fileId>.json as [{ version, jobId, jobIds, createdAt, options }];
+// retries of a version add their job to it. Version 1 keeps the upload's fileId for its
+// checkpoints and results, later versions use <fileId>-v<version> (see runIdFor).
+
+const JOB_STEPS = ['inspect', 'transcribe', 'arguments', 'factcheck', 'generate', 'voice', 'captions', 'combine', 'renditions', 'previews', 'upload', 'notify'];
+
+// Steps run by each processing mode: 'respond' produces the AI response video, 'adjudicate'
+// judges the round and produces a ballot
+const MODE_STEPS = {
+    respond: JOB_STEPS,
+    adjudicate: ['inspect', 'transcribe', 'arguments', 'adjudicate', 'upload', 'notify']
+};
+
+// Longest each step may run, in seconds, before it is stopped and the job fails with
+// step_timeout. STEP_TIMEOUTS overrides them as "step=seconds,...", e.g. "renditions=5400";
+// steps without a limit of their own get STEP_TIMEOUT_SECONDS.
+const DEFAULT_STEP_TIMEOUT_SECONDS = parseInt(process.env.STEP_TIMEOUT_SECONDS || '1800', 10);
+const STEP_TIMEOUT_SECONDS = {
+    inspect: 600,
+    transcribe: 3600,
+    combine: 3600,
+    renditions: 3600,
+    ...parseStepTimeouts(process.env.STEP_TIMEOUTS)
+};
+
+function parseStepTimeouts(value) {
+    const timeouts = {};
+    for (const entry of (value || '').split(',').map(item => item.trim()).filter(Boolean)) {
+        const [step, seconds] = entry.split('=').map(part => part.trim());
+        if (!seconds || !(parseInt(seconds, 10) > 0)) {
+            throw new Error(`Invalid STEP_TIMEOUTS entry: ${entry}. Expected step=seconds`);
+        }
+        timeouts[step] = parseInt(seconds, 10);
+    }
+    return timeouts;
+}
+
+function stepTimeoutSeconds(step) {
+    return STEP_TIMEOUT_SECONDS[step] || DEFAULT_STEP_TIMEOUT_SECONDS;
+}
+
+// Upload IDs name temporary files and appear in ffmpeg filter arguments, so they are limited to
+// characters that are safe in both
+const FILE_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+// Options recorded with each version so versions can be told apart
+const VERSION_OPTION_FIELDS = ['mode', 'topic', 'format', 'speechRole', 'persona', 'promptTemplate', 'layout', 'visuals', 'responseLanguage'];
+
+function isValidFileId(fileId) {
+    return typeof fileId === 'string' && FILE_ID_PATTERN.test(fileId);
+}
+
+// ID the checkpoints, results and temporary files of a version are stored under
+function runIdFor(fileId, version) {
+    return version > 1 ? `${fileId}-v${version}` : fileId;
+}
+
+function stepsForMode(mode) {
+    const steps = MODE_STEPS[mode || 'respond'];
+    if (!steps) {
+        throw new Error(`Unknown processing mode: ${mode}. Expected one of: ${Object.keys(MODE_STEPS).join(', ')}`);
+    }
+    return steps;
+}
+
+function createJobStore(bucket) {
+    // Serialize writes per job so step updates land in order
+    const pendingWrites = new Map();
+
+    function jobFile(jobId) {
+        return bucket.file(`jobs/${jobId}.json`);
+    }
+
+    // Cancellation is requested with a marker object, so a running job's own saves cannot
+    // overwrite the request before the instance running it sees it
+    function cancelFile(jobId) {
+        return bucket.file(`jobs/${jobId}.cancel`);
+    }
+
+    function versionsFile(fileId) {
+        return bucket.file(`versions/${fileId}.json`);
+    }
+
+    async function save(job) {
+        job.updatedAt = new Date().toISOString();
+        const snapshot = JSON.stringify(job, null, 2);
+        const previous = pendingWrites.get(job.jobId) || Promise.resolve();
+        const write = previous
+            .catch(() => {})
+            .then(() => jobFile(job.jobId).save(snapshot, {
+                resumable: false,
+                metadata: { contentType: 'application/json' }
+            }));
+        pendingWrites.set(job.jobId, write);
+        await write;
+        if (pendingWrites.get(job.jobId) === write) {
+            pendingWrites.delete(job.jobId);
+        }
+        return job;
+    }
+
+    // Create a queued job for a processing request
+    async function createJob(request, extra = {}) {
+        const now = new Date().toISOString();
+        const job = {
+            jobId: uuidv4(),
+            fileId: request.fileId,
+            version: request.version || 1,
+            retryOf: extra.retryOf || null,
+            reprocessOf: extra.reprocessOf || null,
+            status: 'queued',
+            currentStep: null,
+            steps: Object.fromEntries(stepsForMode(request.mode).map(step => [step, { status: 'pending' }])),
+            request: request,
+            createdAt: now,
+            startedAt: null,
+            completedAt: null,
+            error: null,
+            finalVideoUrl: null,
+            result: null
+        };
+        return save(job);
+    }
+
+    // Load a job, or null if it does not exist
+    async function getJob(jobId) {
+        try {
+            const [contents] = await jobFile(jobId).download();
+            return JSON.parse(contents.toString('utf8'));
+        } catch (error) {
+            if (error.code === 404) return null;
+            throw error;
+        }
+    }
+
+    async function requestCancel(jobId) {
+        await cancelFile(jobId).save(new Date().toISOString(), {
+            resumable: false,
+            metadata: { contentType: 'text/plain' }
+        });
+    }
+
+    async function isCancelRequested(jobId) {
+        const [exists] = await cancelFile(jobId).exists();
+        return exists;
+    }
+
+    // Load an upload's versions and the object generation they were read at
+    async function readVersions(fileId) {
+        const file = versionsFile(fileId);
+        try {
+            const [contents] = await file.download();
+            const [metadata] = await file.getMetadata();
+            return { versions: JSON.parse(contents.toString('utf8')), generation: metadata.generation };
+        } catch (error) {
+            if (error.code === 404) return { versions: [], generation: 0 };
+            throw error;
+        }
+    }
+
+    // Apply a change to an upload's versions, retrying when another writer got there first
+    async function updateVersions(fileId, change) {
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const { versions, generation } = await readVersions(fileId);
+            const result = change(versions);
+            try {
+                await versionsFile(fileId).save(JSON.stringify(versions, null, 2), {
+                    resumable: false,
+                    metadata: { contentType: 'application/json' },
+                    preconditionOpts: { ifGenerationMatch: generation }
+                });
+                return result;
+            } catch (error) {
+                if (error.code !== 412) throw error;
+                console.log(`Versions of ${fileId} changed while updating them, retrying...`);
+            }
+        }
+        throw new Error(`Could not update the versions of ${fileId}: too many concurrent updates`);
+    }
+
+    async function listVersions(fileId) {
+        return (await readVersions(fileId)).versions;
+    }
+
+    // Reserve the next version number of an upload. Uploads processed before versions were
+    // recorded already have a version 1, so numbering starts at 2.
+    async function allocateVersion(fileId) {
+        return updateVersions(fileId, versions => {
+            const version = Math.max(1, ...versions.map(entry => entry.version)) + 1;
+            versions.push({ version, jobId: null, jobIds: [], createdAt: new Date().toISOString(), options: {} });
+            return version;
+        });
+    }
+
+    // Record a job as the latest run of its version
+    async function recordVersion(job) {
+        return updateVersions(job.fileId, versions => {
+            let entry = versions.find(item => item.version === job.version);
+            if (!entry) {
+                entry = { version: job.version, jobIds: [], createdAt: job.createdAt };
+                versions.push(entry);
+                versions.sort((a, b) => a.version - b.version);
+            }
+            entry.jobId = job.jobId;
+            entry.jobIds = [...(entry.jobIds || []), job.jobId];
+            entry.options = Object.fromEntries(VERSION_OPTION_FIELDS
+                .filter(name => job.request[name] !== undefined && job.request[name] !== null)
+                .map(name => [name, job.request[name]]));
+            return entry;
+        });
+    }
+
+    async function startStep(job, step) {
+        const now = new Date().toISOString();
+        if (job.status === 'queued') {
+            job.status = 'running';
+            job.startedAt = now;
+        }
+        // notify runs once the job has completed, which then has no current step
+        if (job.status !== 'completed') job.currentStep = step;
+        job.steps[step] = { status: 'running', startedAt: now };
+        return save(job);
+    }
+
+    // Record how far the running step's current encode has got, as a percentage
+    async function reportProgress(job, step, percent) {
+        if (!job.steps[step] || job.steps[step].status !== 'running') return job;
+        job.steps[step].progress = percent;
+        return save(job);
+    }
+
+    async function completeStep(job, step) {
+        delete job.steps[step].progress;
+        job.steps[step].status = 'completed';
+        job.steps[step].completedAt = new Date().toISOString();
+        return save(job);
+    }
+
+    // Mark a step failed without failing the job, for notify, which runs after the job completed
+    async function failStep(job, step, error) {
+        delete job.steps[step].progress;
+        job.steps[step].status = 'failed';
+        job.steps[step].completedAt = new Date().toISOString();
+        job.steps[step].error = error.message;
+        return save(job);
+    }
+
+    // Mark a step whose checkpointed output was reused
+    async function skipStep(job, step) {
+        if (job.status === 'queued') {
+            job.status = 'running';
+            job.startedAt = new Date().toISOString();
+        }
+        job.steps[step] = { status: 'skipped', completedAt: new Date().toISOString() };
+        return save(job);
+    }
+
+    async function completeJob(job, result) {
+        job.status = 'completed';
+        job.currentStep = null;
+        job.completedAt = new Date().toISOString();
+        job.finalVideoUrl = result.finalVideoUrl;
+        job.result = result;
+        return save(job);
+    }
+
+    async function failJob(job, error) {
+        const now = new Date().toISOString();
+        if (job.currentStep && job.steps[job.currentStep].status === 'running') {
+            job.steps[job.currentStep].status = 'failed';
+            job.steps[job.currentStep].completedAt = now;
+            job.steps[job.currentStep].error = error.message;
+        }
+        job.status = 'failed';
+        job.completedAt = now;
+        job.error = {
+            step: job.currentStep,
+            code: error.code || null,
+            message: error.message
+        };
+        return save(job);
+    }
+
+    // Mark a job stopped by request, along with the step it was running
+    async function cancelJob(job, error) {
+        const now = new Date().toISOString();
+        if (job.currentStep && job.steps[job.currentStep].status === 'running') {
+            job.steps[job.currentStep].status = 'cancelled';
+            job.steps[job.currentStep].completedAt = now;
+        }
+        job.status = 'cancelled';
+        job.completedAt = now;
+        job.error = {
+            step: job.currentStep,
+            code: 'job_cancelled',
+            message: error.message
+        };
+        return save(job);
+    }
+
+    // Record how a notification of the job's outcome was delivered, e.g. deliveries.email
+    async function recordDelivery(job, channel, delivery) {
+        job.deliveries = { ...(job.deliveries || {}), [channel]: delivery };
+        return save(job);
+    }
+
+    return {
+        createJob,
+        getJob,
+        requestCancel,
+        isCancelRequested,
+        listVersions,
+        allocateVersion,
+        recordVersion,
+        startStep,
+        reportProgress,
+        completeStep,
+        failStep,
+        skipStep,
+        completeJob,
+        failJob,
+        cancelJob,
+        recordDelivery
+    };
+}
+
+module.exports = {
+    JOB_STEPS,
+    MODE_STEPS,
+    stepsForMode,
+    parseStepTimeouts,
+    stepTimeoutSeconds,
+    runIdFor,
+    isValidFileId,
+    createJobStore
+};
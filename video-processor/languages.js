@@ -0,0 +1,157 @@
+const { generateValidatedJson } = require('./structured-output');
+
+// Languages the pipeline can hear, answer and caption in. Each has the locale codes its
+// speech-to-text and text-to-speech providers expect, an espeak-ng voice and the script it is
+// written in. The script decides the caption font (a fontconfig family for the subtitles
+// filter and a font file for drawtext and the ballot PDF; fontFace picks the face in a .ttc
+// collection) and whether text runs right to left.
+
+const DEFAULT_LANGUAGE = 'en';
+const MAX_CAPTION_LANGUAGES = parseInt(process.env.MAX_CAPTION_LANGUAGES || '4', 10);
+
+const SCRIPTS = {
+    latin: { direction: 'ltr', font: 'DejaVu Sans', fontFile: null, boldFontFile: null },
+    cyrillic: { direction: 'ltr', font: 'DejaVu Sans', fontFile: null, boldFontFile: null },
+    arabic: {
+        direction: 'rtl',
+        font: 'Noto Sans Arabic',
+        fontFile: '/usr/share/fonts/truetype/noto/NotoSansArabic-Regular.ttf',
+        boldFontFile: '/usr/share/fonts/truetype/noto/NotoSansArabic-Bold.ttf'
+    },
+    hebrew: {
+        direction: 'rtl',
+        font: 'Noto Sans Hebrew',
+        fontFile: '/usr/share/fonts/truetype/noto/NotoSansHebrew-Regular.ttf',
+        boldFontFile: '/usr/share/fonts/truetype/noto/NotoSansHebrew-Bold.ttf'
+    },
+    devanagari: {
+        direction: 'ltr',
+        font: 'Noto Sans Devanagari',
+        fontFile: '/usr/share/fonts/truetype/noto/NotoSansDevanagari-Regular.ttf',
+        boldFontFile: '/usr/share/fonts/truetype/noto/NotoSansDevanagari-Bold.ttf'
+    },
+    cjk: {
+        direction: 'ltr',
+        font: 'Noto Sans CJK SC',
+        fontFile: '/usr/share/fonts/opentype/noto/NotoSansCJK-Regular.ttc',
+        fontFace: 'NotoSansCJKsc-Regular',
+        boldFontFile: '/usr/share/fonts/opentype/noto/NotoSansCJK-Bold.ttc'
+    }
+};
+
+const LANGUAGES = {
+    en: { name: 'English', speechLocale: 'en-US', voiceLocale: 'en-US', espeakVoice: 'en-us', script: 'latin' },
+    es: { name: 'Spanish', speechLocale: 'es-ES', voiceLocale: 'es-ES', espeakVoice: 'es', script: 'latin' },
+    fr: { name: 'French', speechLocale: 'fr-FR', voiceLocale: 'fr-FR', espeakVoice: 'fr', script: 'latin' },
+    de: { name: 'German', speechLocale: 'de-DE', voiceLocale: 'de-DE', espeakVoice: 'de', script: 'latin' },
+    it: { name: 'Italian', speechLocale: 'it-IT', voiceLocale: 'it-IT', espeakVoice: 'it', script: 'latin' },
+    pt: { name: 'Portuguese', speechLocale: 'pt-BR', voiceLocale: 'pt-BR', espeakVoice: 'pt-br', script: 'latin' },
+    nl: { name: 'Dutch', speechLocale: 'nl-NL', voiceLocale: 'nl-NL', espeakVoice: 'nl', script: 'latin' },
+    ru: { name: 'Russian', speechLocale: 'ru-RU', voiceLocale: 'ru-RU', espeakVoice: 'ru', script: 'cyrillic' },
+    ar: { name: 'Arabic', speechLocale: 'ar-SA', voiceLocale: 'ar-XA', espeakVoice: 'ar', script: 'arabic' },
+    he: { name: 'Hebrew', speechLocale: 'he-IL', voiceLocale: 'he-IL', espeakVoice: 'he', script: 'hebrew' },
+    hi: { name: 'Hindi', speechLocale: 'hi-IN', voiceLocale: 'hi-IN', espeakVoice: 'hi', script: 'devanagari' },
+    zh: { name: 'Chinese (Mandarin)', speechLocale: 'cmn-Hans-CN', voiceLocale: 'cmn-CN', espeakVoice: 'cmn', script: 'cjk' },
+    ja: { name: 'Japanese', speechLocale: 'ja-JP', voiceLocale: 'ja-JP', espeakVoice: 'ja', script: 'cjk' },
+    ko: { name: 'Korean', speechLocale: 'ko-KR', voiceLocale: 'ko-KR', espeakVoice: 'ko', script: 'cjk' }
+};
+
+// Codes some providers report for the languages above
+const ALIASES = { cmn: 'zh', yue: 'zh', iw: 'he' };
+
+// Base language of a code or voice name: "es-MX" -> "es", "cmn-CN-Wavenet-A" -> "zh", "en-us+f3" -> "en"
+function baseLanguage(code) {
+    const base = String(code).split(/[-_+]/)[0].toLowerCase();
+    return ALIASES[base] || base;
+}
+
+// Resolve a language code or locale to its settings, throwing on unsupported languages
+function resolveLanguage(code) {
+    const id = baseLanguage(code || DEFAULT_LANGUAGE);
+    const language = LANGUAGES[id];
+    if (!language) {
+        throw new Error(`Unsupported language: ${code}. Expected one of: ${Object.keys(LANGUAGES).join(', ')}`);
+    }
+    return { code: id, ...language, ...SCRIPTS[language.script] };
+}
+
+// The supported language a transcription was detected as, or null
+function detectedLanguage(transcription) {
+    if (!transcription.language) return null;
+    const id = baseLanguage(transcription.language);
+    return LANGUAGES[id] ? resolveLanguage(id) : null;
+}
+
+// Parse caption languages given as an array or a comma-separated string into codes
+function parseLanguageList(value) {
+    if (!value) return [];
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    const codes = [...new Set(items.map(item => String(item).trim()).filter(Boolean).map(item => resolveLanguage(item).code))];
+    if (codes.length > MAX_CAPTION_LANGUAGES) {
+        throw new Error(`At most ${MAX_CAPTION_LANGUAGES} caption languages can be requested`);
+    }
+    return codes;
+}
+
+function listLanguages() {
+    return Object.keys(LANGUAGES).map(code => {
+        const language = resolveLanguage(code);
+        return { code, name: language.name, direction: language.direction };
+    });
+}
+
+// Voice settings that speak the given language. A requested voice or voice language is kept
+// only when it is the same language; otherwise the language's default voice is used.
+function voiceForLanguage(voiceOptions, language) {
+    const sameLanguage = value => Boolean(value) && baseLanguage(value) === language.code;
+    return {
+        ...voiceOptions,
+        voice: sameLanguage(voiceOptions.voice) ? voiceOptions.voice : null,
+        language: sameLanguage(voiceOptions.language) ? voiceOptions.language : language.voiceLocale
+    };
+}
+
+// espeak-ng voice for a locale, or the locale itself for languages not listed here
+function espeakVoiceFor(locale) {
+    const language = LANGUAGES[baseLanguage(locale)];
+    return language ? language.espeakVoice : locale.toLowerCase();
+}
+
+// Translate timed sentences one for one, so each translation keeps its sentence's timing
+async function translateSentences(sentences, from, to, generateText) {
+    const schema = {
+        type: 'object',
+        required: ['translations'],
+        properties: {
+            translations: {
+                type: 'array',
+                minItems: sentences.length,
+                maxItems: sentences.length,
+                items: { type: 'string', minLength: 1 }
+            }
+        }
+    };
+    const prompt = `Translate these numbered sentences of a spoken debate response from ${from.name} into ${to.name}. Translate each sentence on its own, in order, keeping names and numbers.
+${sentences.map((sentence, index) => `${index + 1}. ${sentence.text}`).join('\n')}
+
+Reply with only JSON (no markdown) matching this JSON schema:
+${JSON.stringify(schema)}
+
+Give exactly one translation per sentence.`;
+
+    const { translations } = await generateValidatedJson(generateText, prompt, schema, {
+        label: `Caption translation to ${to.name}`
+    });
+    return sentences.map((sentence, index) => ({ ...sentence, text: translations[index].trim() }));
+}
+
+module.exports = {
+    LANGUAGES,
+    resolveLanguage,
+    detectedLanguage,
+    parseLanguageList,
+    listLanguages,
+    voiceForLanguage,
+    espeakVoiceFor,
+    translateSentences
+};
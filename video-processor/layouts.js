@@ -0,0 +1,212 @@
+const fs = require('fs').promises;
+const { runFfmpeg } = require('./media');
+const { tokenize } = require('./text');
+
+// Final video layouts. The captions step renders the AI's captions as a panel sized for the
+// layout; composeVideo puts that panel, the voice-over and (for every layout but 'captions')
+// the original upload together:
+//   captions      - the caption panel alone
+//   side-by-side  - the original speech (muted) on the left, the caption panel on the right
+//   pip           - the caption panel with the original speech (muted) inset top right
+//   alternating   - a short excerpt of each point in the original speech, with its own audio,
+//                   followed by the part of the response that answers it
+// Every layout also has a vertical 9:16 form for phones, where side-by-side stacks the original
+// above the caption panel.
+
+const DEFAULT_LAYOUT = process.env.VIDEO_LAYOUT || 'captions';
+const WIDTH = 1280;
+const HEIGHT = 720;
+const VERTICAL_WIDTH = 720;
+const VERTICAL_HEIGHT = 1280;
+const FPS = 30;
+const EXCERPT_SECONDS = parseFloat(process.env.LAYOUT_EXCERPT_SECONDS || '12');
+
+const FRAME = { width: WIDTH, height: HEIGHT };
+const VERTICAL_FRAME = { width: VERTICAL_WIDTH, height: VERTICAL_HEIGHT };
+
+const LAYOUTS = {
+    captions: { frame: FRAME, panel: FRAME, usesOriginal: false },
+    'side-by-side': { frame: FRAME, panel: { width: WIDTH / 2, height: HEIGHT }, maxLineChars: 24, usesOriginal: true },
+    pip: { frame: FRAME, panel: FRAME, insetWidth: WIDTH * 0.3, usesOriginal: true },
+    alternating: { frame: FRAME, panel: FRAME, usesOriginal: true }
+};
+
+// Resolve a layout name, throwing on unknown values
+function resolveLayout(name) {
+    const id = name || DEFAULT_LAYOUT;
+    // Own keys only, so names like "constructor" are not taken from Object.prototype
+    const layout = Object.hasOwn(LAYOUTS, id) ? LAYOUTS[id] : null;
+    if (!layout) {
+        throw new Error(`Unknown video layout: ${name}. Expected one of: ${Object.keys(LAYOUTS).join(', ')}`);
+    }
+    return { id, ...layout };
+}
+
+// The vertical form of a layout, with captions re-flowed to the narrower frame
+function verticalLayout(layout) {
+    // 16:9 rounded to even, as yuv420p frames need even sizes
+    const originalHeight = Math.round(VERTICAL_WIDTH * 9 / 32) * 2;
+    return {
+        ...layout,
+        frame: VERTICAL_FRAME,
+        panel: layout.id === 'side-by-side' ? { width: VERTICAL_WIDTH, height: VERTICAL_HEIGHT - originalHeight } : VERTICAL_FRAME,
+        insetWidth: VERTICAL_WIDTH * 0.45,
+        maxLineChars: 22
+    };
+}
+
+// Pair each point of the speech with the run of response sentences that answers it. Sentences
+// are matched to the point sharing the most terms; a sentence matching nothing stays with the
+// run before it. Returns [{ point, excerpt: { start, end } | null, response: { start, end } }].
+function planAlternatingSegments(argumentBreakdown, voiceOver) {
+    const contentions = argumentBreakdown.contentions;
+    const points = (contentions.length === 1 ? contentions[0].claims : contentions)
+        .map(point => ({
+            title: point.title || point.text,
+            start: point.start,
+            end: point.end,
+            terms: new Set(tokenize(point.title ? `${point.title} ${point.claims.map(claim => claim.text).join(' ')}` : point.text))
+        }));
+
+    const runs = [];
+    for (const sentence of voiceOver.sentences) {
+        const terms = tokenize(sentence.text);
+        let best = null;
+        let bestScore = 0;
+        points.forEach((point, index) => {
+            const score = terms.filter(term => point.terms.has(term)).length;
+            if (score > bestScore) {
+                best = index;
+                bestScore = score;
+            }
+        });
+
+        const current = runs[runs.length - 1];
+        if (current && (best === null || best === current.point)) {
+            current.sentences.push(sentence);
+        } else {
+            runs.push({ point: best, sentences: [sentence] });
+        }
+    }
+
+    // Each point's excerpt plays once, before the first run that answers it
+    const shown = new Set();
+    const segments = runs.map((run, index) => {
+        const point = run.point === null ? null : points[run.point];
+        const next = runs[index + 1];
+        const segment = {
+            point: point ? point.title : null,
+            excerpt: null,
+            response: {
+                start: index === 0 ? 0 : run.sentences[0].start,
+                end: next ? next.sentences[0].start : voiceOver.duration
+            }
+        };
+        if (point && !shown.has(run.point)) {
+            shown.add(run.point);
+            segment.excerpt = {
+                start: point.start,
+                end: Math.max(Math.min(point.end, point.start + EXCERPT_SECONDS), point.start + 1)
+            };
+        }
+        return segment;
+    });
+
+    // Nothing matched: open with the first point, then the whole response
+    if (!segments.some(segment => segment.excerpt) && points.length > 0) {
+        segments[0].excerpt = {
+            start: points[0].start,
+            end: Math.max(Math.min(points[0].end, points[0].start + EXCERPT_SECONDS), points[0].start + 1)
+        };
+        segments[0].point = points[0].title;
+    }
+
+    return segments.filter(segment => segment.response.end > segment.response.start);
+}
+
+// Move caption cues from response time to their place in the alternating video
+function shiftCues(cues, segments) {
+    const shifted = [];
+    let outputTime = 0;
+    for (const segment of segments) {
+        if (segment.excerpt) outputTime += segment.excerpt.end - segment.excerpt.start;
+        const offset = outputTime - segment.response.start;
+        for (const cue of cues) {
+            if (cue.start >= segment.response.start && cue.start < segment.response.end) {
+                shifted.push({ ...cue, start: cue.start + offset, end: Math.min(cue.end, segment.response.end) + offset });
+            }
+        }
+        outputTime += segment.response.end - segment.response.start;
+    }
+    return shifted;
+}
+
+// Compose the final video for a layout. media is passed to the media runner (signal, onProgress).
+async function composeVideo(layout, inputs, media = {}) {
+    const { panelPath, audioPath, originalPath, outputPath, duration, segments } = inputs;
+    const frame = layout.frame || FRAME;
+    const encode = ['-c:v', 'libx264', '-preset', 'fast', '-crf', '23', '-c:a', 'aac', '-pix_fmt', 'yuv420p'];
+    // Progress is measured against the response, not the original that comes first
+    const run = (args, outputDuration = duration) => runFfmpeg(args, { ...media, duration: outputDuration });
+    // Fit the original into a box, holding its last frame if the response runs longer
+    const fit = (width, height) => `scale=${Math.round(width)}:${Math.round(height)}:force_original_aspect_ratio=decrease,pad=${Math.round(width)}:${Math.round(height)}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${FPS}`;
+    const hold = `tpad=stop_mode=clone:stop_duration=${duration.toFixed(2)}`;
+
+    if (layout.id === 'captions') {
+        await run(['-i', panelPath, '-i', audioPath, '-c:v', 'copy', '-c:a', 'aac', '-strict', 'experimental', outputPath]);
+    } else if (layout.id === 'side-by-side') {
+        // The original fills the part of the frame the panel leaves, beside it or above it
+        const horizontal = frame.width > frame.height;
+        const filter = horizontal
+            ? `[0:v]${fit(frame.width - layout.panel.width, frame.height)},${hold}[left];[1:v]setsar=1[right];[left][right]hstack=inputs=2,trim=duration=${duration.toFixed(2)}[v]`
+            : `[0:v]${fit(frame.width, frame.height - layout.panel.height)},${hold}[top];[1:v]setsar=1[bottom];[top][bottom]vstack=inputs=2,trim=duration=${duration.toFixed(2)}[v]`;
+        await run(['-i', originalPath, '-i', panelPath, '-i', audioPath, '-filter_complex', filter, '-map', '[v]', '-map', '2:a', ...encode, '-shortest', outputPath]);
+    } else if (layout.id === 'pip') {
+        const filter = `[0:v]${fit(layout.insetWidth, layout.insetWidth * 9 / 16)},${hold}[inset];[1:v][inset]overlay=W-w-24:24,trim=duration=${duration.toFixed(2)}[v]`;
+        await run(['-i', originalPath, '-i', panelPath, '-i', audioPath, '-filter_complex', filter, '-map', '[v]', '-map', '2:a', ...encode, '-shortest', outputPath]);
+    } else {
+        await composeAlternating(inputs, frame, fit, encode, run);
+    }
+}
+
+async function composeAlternating(inputs, frame, fit, encode, run) {
+    const { panelPath, audioPath, originalPath, outputPath, segments } = inputs;
+    const audioFormat = 'aresample=44100,aformat=channel_layouts=stereo';
+    const filters = [];
+    const parts = [];
+
+    segments.forEach((segment, index) => {
+        if (segment.excerpt) {
+            const { start, end } = segment.excerpt;
+            filters.push(`[0:v]trim=start=${start.toFixed(2)}:end=${end.toFixed(2)},setpts=PTS-STARTPTS,${fit(frame.width, frame.height)}[ev${index}]`);
+            filters.push(`[0:a]atrim=start=${start.toFixed(2)}:end=${end.toFixed(2)},asetpts=PTS-STARTPTS,${audioFormat}[ea${index}]`);
+            parts.push(`[ev${index}][ea${index}]`);
+        }
+        const { start, end } = segment.response;
+        filters.push(`[1:v]trim=start=${start.toFixed(2)}:end=${end.toFixed(2)},setpts=PTS-STARTPTS,setsar=1,fps=${FPS}[rv${index}]`);
+        filters.push(`[2:a]atrim=start=${start.toFixed(2)}:end=${end.toFixed(2)},asetpts=PTS-STARTPTS,${audioFormat}[ra${index}]`);
+        parts.push(`[rv${index}][ra${index}]`);
+    });
+    filters.push(`${parts.join('')}concat=n=${parts.length}:v=1:a=1[v][a]`);
+
+    // The graph grows with the number of points, so it is passed as a script file
+    const scriptPath = `${outputPath}.filter.txt`;
+    await fs.writeFile(scriptPath, filters.join(';\n'), 'utf8');
+    try {
+        // The excerpts of the original play between the parts of the response
+        const outputDuration = segments.reduce((total, segment) =>
+            total + (segment.excerpt ? segment.excerpt.end - segment.excerpt.start : 0) + segment.response.end - segment.response.start, 0);
+        await run(['-i', originalPath, '-i', panelPath, '-i', audioPath, '-filter_complex_script', scriptPath, '-map', '[v]', '-map', '[a]', ...encode, outputPath], outputDuration);
+    } finally {
+        await fs.unlink(scriptPath).catch(() => {});
+    }
+}
+
+module.exports = {
+    LAYOUTS,
+    resolveLayout,
+    verticalLayout,
+    planAlternatingSegments,
+    shiftCues,
+    composeVideo
+};
@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+
+// Language model providers. Every provider takes a prompt and resolved settings
+// { model, temperature, maxTokens, timeoutMs } and resolves to the reply text. Provider
+// failures are rethrown as LlmError with a code callers can act on:
+// auth, rate_limit, invalid_request, timeout, unavailable, empty_response or unknown.
+
+const DEFAULT_PROVIDER = process.env.LLM_PROVIDER || 'gemini';
+
+const DEFAULT_MODELS = {
+    gemini: 'gemini-2.5-flash',
+    openai: 'gpt-4o-mini',
+    mock: 'mock'
+};
+
+class LlmError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'LlmError';
+        this.code = details.code || 'unknown';
+        this.provider = details.provider || null;
+        this.status = details.status || null;
+        this.retryable = ['rate_limit', 'timeout', 'unavailable'].includes(this.code);
+    }
+}
+
+// Google Gemini through the Generative AI SDK
+async function geminiText(prompt, settings) {
+    const { GoogleGenerativeAI } = require('@google/generative-ai');
+    if (!process.env.GEMINI_API_KEY) {
+        throw new LlmError('GEMINI_API_KEY is not set', { code: 'auth', provider: 'gemini' });
+    }
+
+    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    const model = genAI.getGenerativeModel({
+        model: settings.model,
+        generationConfig: {
+            temperature: settings.temperature,
+            maxOutputTokens: settings.maxTokens
+        }
+    });
+
+    let result;
+    try {
+        result = await withTimeout(model.generateContent(prompt), settings.timeoutMs);
+    } catch (error) {
+        if (error instanceof LlmError) throw error;
+        throw new LlmError(`Gemini request failed: ${error.message}`, {
+            code: codeForStatus(error.status || statusFromMessage(error.message)),
+            provider: 'gemini',
+            status: error.status
+        });
+    }
+
+    let text;
+    try {
+        text = result.response.text();
+    } catch (error) {
+        // The SDK throws here when the reply was blocked by safety filters
+        throw new LlmError(`Gemini returned no text: ${error.message}`, { code: 'empty_response', provider: 'gemini' });
+    }
+    return text;
+}
+
+// Any OpenAI-compatible chat completions endpoint, including local Ollama and llama.cpp servers
+async function openaiText(prompt, settings) {
+    const baseUrl = (process.env.LLM_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+    const apiKey = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), settings.timeoutMs);
+
+    let response;
+    let body;
+    try {
+        response = await fetch(`${baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+            },
+            body: JSON.stringify({
+                model: settings.model,
+                messages: [{ role: 'user', content: prompt }],
+                temperature: settings.temperature,
+                max_tokens: settings.maxTokens
+            }),
+            signal: controller.signal
+        });
+        body = await response.text();
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new LlmError(`Request to ${baseUrl} timed out after ${settings.timeoutMs}ms`, { code: 'timeout', provider: 'openai' });
+        }
+        throw new LlmError(`Request to ${baseUrl} failed: ${error.message}`, { code: 'unavailable', provider: 'openai' });
+    } finally {
+        clearTimeout(timer);
+    }
+
+    if (!response.ok) {
+        throw new LlmError(`${baseUrl} returned ${response.status}: ${body.substring(0, 500)}`, {
+            code: codeForStatus(response.status),
+            provider: 'openai',
+            status: response.status
+        });
+    }
+
+    let text;
+    try {
+        text = JSON.parse(body).choices[0].message.content;
+    } catch (error) {
+        throw new LlmError(`Unexpected response from ${baseUrl}: ${body.substring(0, 500)}`, { code: 'empty_response', provider: 'openai' });
+    }
+    if (!text) {
+        throw new LlmError(`${baseUrl} returned an empty reply`, { code: 'empty_response', provider: 'openai' });
+    }
+    return text;
+}
+
+// Deterministic replies for offline runs: prompts that ask for JSON get the smallest value
+// matching their schema, anything else a fixed response keyed by the prompt's hash
+async function mockText(prompt) {
+    if (process.env.LLM_MOCK_RESPONSE) return process.env.LLM_MOCK_RESPONSE;
+
+    const schemaMatch = prompt.match(/JSON schema:\n(.+)\n/);
+    if (schemaMatch) {
+        return JSON.stringify(exampleForSchema(JSON.parse(schemaMatch[1])));
+    }
+
+    const hash = crypto.createHash('sha256').update(prompt).digest('hex').substring(0, 8);
+    return `Thank you for your speech. This is mock response ${hash}. You made clear points, but each one needs stronger evidence and a direct answer to the other side. Keep practicing and weigh your impacts against theirs.`;
+}
+
+const providers = {
+    gemini: geminiText,
+    openai: openaiText,
+    mock: mockText
+};
+
+// Send a prompt to the configured language model and return the text of its reply
+async function generateText(prompt, options = {}) {
+    const settings = resolveLlmSettings(options);
+    const provider = providers[settings.provider];
+
+    const text = await provider(prompt, settings);
+    if (typeof text !== 'string' || text.trim().length === 0) {
+        throw new LlmError(`${settings.provider} returned an empty reply`, { code: 'empty_response', provider: settings.provider });
+    }
+    return text;
+}
+
+// Merge per-call options with the configured defaults
+function resolveLlmSettings(options = {}) {
+    const provider = options.provider || DEFAULT_PROVIDER;
+    if (!providers[provider]) {
+        throw new LlmError(`Unknown language model provider: ${provider}. Expected one of: ${Object.keys(providers).join(', ')}`, {
+            code: 'invalid_request'
+        });
+    }
+
+    return {
+        provider: provider,
+        model: options.model || process.env.LLM_MODEL || DEFAULT_MODELS[provider],
+        temperature: parseFloat(options.temperature ?? process.env.LLM_TEMPERATURE ?? '0.7'),
+        maxTokens: parseInt(options.maxTokens || process.env.LLM_MAX_TOKENS || '2048', 10),
+        timeoutMs: parseInt(options.timeoutMs || process.env.LLM_TIMEOUT_MS || '60000', 10)
+    };
+}
+
+function codeForStatus(status) {
+    if (status === 401 || status === 403) return 'auth';
+    if (status === 429) return 'rate_limit';
+    if (status === 408) return 'timeout';
+    if (status >= 500) return 'unavailable';
+    if (status >= 400) return 'invalid_request';
+    return 'unknown';
+}
+
+// Older SDK versions only report the HTTP status inside the message, e.g. "[429 Too Many Requests]"
+function statusFromMessage(message) {
+    const match = /\[(\d{3}) /.exec(message || '');
+    return match ? parseInt(match[1], 10) : null;
+}
+
+function withTimeout(promise, timeoutMs) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new LlmError(`Request timed out after ${timeoutMs}ms`, { code: 'timeout', provider: 'gemini' })), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function exampleForSchema(schema) {
+    if (schema.enum) return schema.enum[0];
+    const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+
+    if (type === 'object') {
+        return Object.fromEntries((schema.required || [])
+            .map(key => [key, exampleForSchema((schema.properties || {})[key] || {})]));
+    }
+    if (type === 'array') {
+        return Array.from({ length: schema.minItems || 0 }, () => exampleForSchema(schema.items || {}));
+    }
+    if (type === 'number' || type === 'integer') {
+        return schema.minimum ?? 0;
+    }
+    if (type === 'boolean') return false;
+    if (type === 'null') return null;
+    return 'mock';
+}
+
+module.exports = {
+    LlmError,
+    generateText,
+    resolveLlmSettings,
+    providers
+};
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+
+// Email delivery through a configurable transport. Every transport sends a message
+// { to, from, subject, text, html } and resolves to its message ID; failures are MailError,
+// retryable when trying again later may succeed (connection errors, rate limits, temporary
+// SMTP replies, provider outages).
+//   smtp     - any SMTP server through nodemailer, e.g. MailHog locally
+//   sendgrid - the SendGrid v3 mail send API
+//   log      - logs the message instead of sending it (the default, for development)
+//
+// Messages are rendered from templates at emails/<name>.html and emails/<name>.txt, which use
+// {{variable}} placeholders and {{#variable}}...{{/variable}} sections that are only kept
+// when the variable has a value. Values are HTML-escaped in the HTML template.
+
+const DEFAULT_TRANSPORT = process.env.MAIL_TRANSPORT || 'log';
+const EMAILS_DIR = process.env.EMAILS_DIR || path.join(__dirname, 'emails');
+const MAIL_FROM = process.env.MAIL_FROM || 'AI Debate <noreply@ai-debate.app>';
+const MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS || '4', 10);
+const RETRY_DELAY_MS = parseInt(process.env.MAIL_RETRY_DELAY_MS || '2000', 10);
+const SEND_TIMEOUT_MS = parseInt(process.env.MAIL_TIMEOUT_MS || '30000', 10);
+
+class MailError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'MailError';
+        this.transport = details.transport || null;
+        this.status = details.status || null;
+        this.retryable = details.retryable !== undefined ? details.retryable : true;
+    }
+}
+
+let smtpTransporter = null;
+
+// SMTP through nodemailer. SMTP_HOST and SMTP_PORT point at the server; MailHog listens on
+// port 1025 without authentication or TLS.
+async function smtpMail(message) {
+    if (!smtpTransporter) {
+        const nodemailer = require('nodemailer');
+        const port = parseInt(process.env.SMTP_PORT || '587', 10);
+        smtpTransporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST || 'localhost',
+            port: port,
+            secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined,
+            connectionTimeout: SEND_TIMEOUT_MS,
+            socketTimeout: SEND_TIMEOUT_MS
+        });
+    }
+
+    try {
+        const info = await smtpTransporter.sendMail(message);
+        return info.messageId;
+    } catch (error) {
+        // 5xx replies are permanent (unknown mailbox, rejected message); 4xx and connection
+        // errors are worth another try
+        const permanent = error.responseCode >= 500;
+        throw new MailError(`SMTP delivery failed: ${error.message}`, {
+            transport: 'smtp',
+            status: error.responseCode || null,
+            retryable: !permanent
+        });
+    }
+}
+
+// SendGrid's v3 mail send API, authenticated with SENDGRID_API_KEY
+async function sendgridMail(message) {
+    if (!process.env.SENDGRID_API_KEY) {
+        throw new MailError('SENDGRID_API_KEY is not set', { transport: 'sendgrid', retryable: false });
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), SEND_TIMEOUT_MS);
+    let response;
+    let body;
+    try {
+        response = await fetch(process.env.SENDGRID_API_URL || 'https://api.sendgrid.com/v3/mail/send', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${process.env.SENDGRID_API_KEY}`
+            },
+            body: JSON.stringify({
+                personalizations: [{ to: [{ email: message.to }] }],
+                from: parseAddress(message.from),
+                subject: message.subject,
+                content: [
+                    { type: 'text/plain', value: message.text },
+                    { type: 'text/html', value: message.html }
+                ]
+            }),
+            signal: controller.signal
+        });
+        body = await response.text();
+    } catch (error) {
+        const reason = error.name === 'AbortError' ? `timed out after ${SEND_TIMEOUT_MS}ms` : error.message;
+        throw new MailError(`SendGrid request failed: ${reason}`, { transport: 'sendgrid' });
+    } finally {
+        clearTimeout(timer);
+    }
+
+    if (!response.ok) {
+        throw new MailError(`SendGrid returned ${response.status}: ${body.substring(0, 500)}`, {
+            transport: 'sendgrid',
+            status: response.status,
+            retryable: response.status === 429 || response.status >= 500
+        });
+    }
+    return response.headers.get('x-message-id');
+}
+
+async function logMail(message) {
+    console.log(`Email to ${message.to}: ${message.subject}\n${message.text}`);
+    return null;
+}
+
+const transports = {
+    smtp: smtpMail,
+    sendgrid: sendgridMail,
+    log: logMail
+};
+
+// Render a message from the named templates
+function composeEmail(name, subject, variables) {
+    return {
+        subject: subject,
+        text: renderEmailTemplate(readTemplate(name, 'txt'), variables, value => value),
+        html: renderEmailTemplate(readTemplate(name, 'html'), variables, escapeHtml)
+    };
+}
+
+// Send a message, retrying retryable failures with exponential backoff. Never throws: resolves
+// to the delivery record { status: 'sent' | 'failed', transport, to, subject, messageId,
+// sentAt, attempts: [{ at, error }] } to store on the job.
+async function deliverMail(message, options = {}) {
+    const transport = options.transport || DEFAULT_TRANSPORT;
+    const maxAttempts = options.maxAttempts || MAX_ATTEMPTS;
+    const delivery = {
+        status: 'failed',
+        transport: transport,
+        to: message.to,
+        subject: message.subject,
+        messageId: null,
+        sentAt: null,
+        attempts: []
+    };
+
+    const send = transports[transport];
+    if (!send) {
+        delivery.attempts.push({ at: new Date().toISOString(), error: `Unknown mail transport: ${transport}. Expected one of: ${Object.keys(transports).join(', ')}` });
+        return delivery;
+    }
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const at = new Date().toISOString();
+        try {
+            delivery.messageId = await send({ from: MAIL_FROM, ...message }) || null;
+            delivery.attempts.push({ at, error: null });
+            delivery.status = 'sent';
+            delivery.sentAt = new Date().toISOString();
+            console.log(`Email "${message.subject}" sent to ${message.to} via ${transport}`);
+            return delivery;
+        } catch (error) {
+            delivery.attempts.push({ at, error: error.message });
+            console.error(`Email attempt ${attempt} of ${maxAttempts} to ${message.to} failed:`, error.message);
+            if (error.retryable === false || attempt === maxAttempts) break;
+            await sleep(RETRY_DELAY_MS * 2 ** (attempt - 1));
+        }
+    }
+    return delivery;
+}
+
+function readTemplate(name, extension) {
+    return fs.readFileSync(path.join(EMAILS_DIR, `${name}.${extension}`), 'utf8');
+}
+
+function renderEmailTemplate(text, variables, escape) {
+    const present = name => variables[name] !== undefined && variables[name] !== null && variables[name] !== '';
+    return text
+        .replace(/\{\{#(\w+)\}\}\n?([\s\S]*?)\{\{\/\1\}\}\n?/g, (section, name, body) => present(name) ? body : '')
+        .replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => present(name) ? escape(String(variables[name])) : '');
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// "Name <address>" or a bare address, as SendGrid's { email, name }
+function parseAddress(address) {
+    const match = /^\s*(.*?)\s*<([^>]+)>\s*$/.exec(address);
+    return match ? { email: match[2], name: match[1] || undefined } : { email: address.trim() };
+}
+
+// The start of a transcript, cut at a word boundary
+function transcriptExcerpt(text, maxLength = 300) {
+    const clean = (text || '').replace(/\s+/g, ' ').trim();
+    if (clean.length <= maxLength) return clean;
+    const cut = clean.lastIndexOf(' ', maxLength);
+    return `${clean.substring(0, cut > 0 ? cut : maxLength)}…`;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    MailError,
+    composeEmail,
+    deliverMail,
+    transcriptExcerpt
+};
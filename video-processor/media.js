@@ -0,0 +1,187 @@
+const { spawn } = require('child_process');
+
+// Runs ffmpeg, ffprobe and the other media tools as child processes with argument arrays,
+// never through a shell, so file names, URLs and caption text are passed to the tool as they
+// are. Every run takes an optional AbortSignal: aborting it stops the process (SIGTERM, then
+// SIGKILL if it does not exit) and rejects with the signal's reason. ffmpeg runs report their
+// -progress output to onProgress as { percent, time, speed }.
+
+const KILL_GRACE_MS = 5000;
+const STDERR_TAIL_CHARS = 4000;
+const DEFAULT_MAX_BUFFER = 50 * 1024 * 1024;
+
+class MediaCommandError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'MediaCommandError';
+        this.code = details.code || 'media_command_failed';
+        this.command = details.command;
+        this.exitCode = details.exitCode === undefined ? null : details.exitCode;
+        this.stderr = details.stderr || '';
+    }
+}
+
+// Run a command to completion, resolving to { stdout, stderr }. options: signal, timeout (ms),
+// maxBuffer, cwd, onStdout(chunk) to stream stdout instead of collecting it, and onStderr(chunk).
+function runCommand(command, args, options = {}) {
+    const { signal, timeout, cwd, onStdout, onStderr } = options;
+    const maxBuffer = options.maxBuffer || DEFAULT_MAX_BUFFER;
+
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(abortReason(signal));
+            return;
+        }
+
+        const child = spawn(command, args, { cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+        let stdout = '';
+        let stderr = '';
+        let failure = null;
+        let killTimer = null;
+        let timeoutTimer = null;
+
+        // Stop the process and settle with the given error once it has exited
+        const stop = error => {
+            if (failure) return;
+            failure = error;
+            child.kill('SIGTERM');
+            killTimer = setTimeout(() => child.kill('SIGKILL'), KILL_GRACE_MS);
+        };
+        const onAbort = () => stop(abortReason(signal));
+
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        if (timeout) {
+            timeoutTimer = setTimeout(() => stop(new MediaCommandError(`${command} timed out after ${Math.round(timeout / 1000)}s`, {
+                code: 'media_timeout', command
+            })), timeout);
+        }
+
+        child.stdout.setEncoding('utf8');
+        child.stdout.on('data', chunk => {
+            if (onStdout) {
+                onStdout(chunk);
+                return;
+            }
+            stdout += chunk;
+            if (stdout.length > maxBuffer) {
+                stop(new MediaCommandError(`${command} wrote more output than allowed`, { command }));
+            }
+        });
+        // Only the end of stderr is kept; it holds the error when a tool fails
+        child.stderr.setEncoding('utf8');
+        child.stderr.on('data', chunk => {
+            if (onStderr) onStderr(chunk);
+            stderr = (stderr + chunk).slice(-STDERR_TAIL_CHARS);
+        });
+
+        const cleanUp = () => {
+            clearTimeout(timeoutTimer);
+            clearTimeout(killTimer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        };
+
+        child.on('error', error => {
+            cleanUp();
+            reject(failure || new MediaCommandError(`${command} could not be started: ${error.message}`, {
+                code: error.code === 'ENOENT' ? 'media_tool_missing' : 'media_command_failed', command
+            }));
+        });
+
+        child.on('close', (exitCode, exitSignal) => {
+            cleanUp();
+            if (failure) {
+                reject(failure);
+            } else if (exitCode !== 0) {
+                const lastLines = stderr.trim().split('\n').slice(-3).join(' | ');
+                reject(new MediaCommandError(`${command} exited with ${exitCode === null ? exitSignal : `code ${exitCode}`}: ${lastLines}`, {
+                    command, exitCode, stderr
+                }));
+            } else {
+                resolve({ stdout, stderr });
+            }
+        });
+    });
+}
+
+// Run ffmpeg with progress reporting. The percentage is of options.duration seconds of output,
+// or else of the first input's duration as ffmpeg reports it.
+async function runFfmpeg(args, options = {}) {
+    const { onProgress } = options;
+    let duration = options.duration || null;
+    let pending = '';
+    let block = {};
+
+    const onStdout = chunk => {
+        pending += chunk;
+        const lines = pending.split('\n');
+        pending = lines.pop();
+        for (const line of lines) {
+            const separator = line.indexOf('=');
+            if (separator === -1) continue;
+            const key = line.slice(0, separator).trim();
+            block[key] = line.slice(separator + 1).trim();
+            // Each block of -progress output ends with progress=continue or progress=end
+            if (key === 'progress') {
+                reportProgress(block);
+                block = {};
+            }
+        }
+    };
+
+    const reportProgress = values => {
+        if (!onProgress) return;
+        const microseconds = parseInt(values.out_time_us || values.out_time_ms, 10);
+        const time = Number.isFinite(microseconds) && microseconds >= 0 ? microseconds / 1e6 : null;
+        let percent = null;
+        if (values.progress === 'end') {
+            percent = 100;
+        } else if (time !== null && duration) {
+            percent = Math.min(99, Math.floor(time / duration * 100));
+        }
+        onProgress({ percent, time, speed: parseFloat(values.speed) || null });
+    };
+
+    // ffmpeg logs each input's duration as "Duration: 00:01:02.50" before it starts encoding
+    let header = '';
+    const onStderr = chunk => {
+        if (duration || header.length > 64 * 1024) return;
+        header += chunk;
+        const match = /Duration: (\d+):(\d{2}):(\d{2}(?:\.\d+)?)/.exec(header);
+        if (match) {
+            duration = parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseFloat(match[3]);
+        }
+    };
+
+    return runCommand('ffmpeg', ['-hide_banner', '-nostdin', '-nostats', '-progress', 'pipe:1', '-y', ...args], {
+        ...options,
+        onStdout,
+        onStderr
+    });
+}
+
+// Run ffprobe (FFPROBE_PATH, or ffprobe from the PATH), resolving to its stdout
+async function runFfprobe(args, options = {}) {
+    const { stdout } = await runCommand(process.env.FFPROBE_PATH || 'ffprobe', ['-v', 'error', ...args], options);
+    return stdout;
+}
+
+async function probeDuration(filePath, options = {}) {
+    const stdout = await runFfprobe(['-show_entries', 'format=duration', '-of', 'csv=p=0', filePath], options);
+    return parseFloat(stdout.trim());
+}
+
+function abortReason(signal) {
+    if (signal.reason instanceof Error) return signal.reason;
+    const error = new Error('The operation was aborted');
+    error.name = 'AbortError';
+    error.code = 'aborted';
+    return error;
+}
+
+module.exports = {
+    MediaCommandError,
+    runCommand,
+    runFfmpeg,
+    runFfprobe,
+    probeDuration
+};
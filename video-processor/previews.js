@@ -0,0 +1,47 @@
+const { runFfmpeg, probeDuration } = require('./media');
+
+// Visual previews of a video for emails and galleries:
+//   poster      - one representative frame as a JPEG
+//   thumbnails  - a strip of evenly spaced frames tiled side by side in one JPEG
+//   animated    - a short looping GIF of a few moments spread through the video
+// GIF rather than WebP so the preview plays in every email client.
+
+const POSTER_WIDTH = 1280;
+const THUMBNAIL_COUNT = parseInt(process.env.PREVIEW_THUMBNAILS || '10', 10);
+const THUMBNAIL_WIDTH = 160;
+const ANIMATED_WIDTH = 320;
+const ANIMATED_FPS = 10;
+const ANIMATED_MOMENTS = 4;
+const MOMENT_SECONDS = 1.5;
+
+// Write the previews of a video to <outputPrefix>_poster.jpg, _thumbnails.jpg and _preview.gif.
+// media is passed to the media runner (signal, onProgress).
+async function createPreviews(videoPath, outputPrefix, media = {}) {
+    const duration = await probeDuration(videoPath, media);
+    const posterPath = `${outputPrefix}_poster.jpg`;
+    const thumbnailsPath = `${outputPrefix}_thumbnails.jpg`;
+    const animatedPath = `${outputPrefix}_preview.gif`;
+
+    // The most representative of the frames around a quarter of the way in, skipping fades
+    const posterTime = Math.min(duration * 0.25, Math.max(duration - 1, 0));
+    await runFfmpeg(['-ss', posterTime.toFixed(2), '-i', videoPath, '-vf', `thumbnail=30,scale='min(${POSTER_WIDTH},iw)':-2`, '-frames:v', '1', '-q:v', '3', posterPath], media);
+
+    // One frame from the middle of each of THUMBNAIL_COUNT equal parts
+    const interval = duration / THUMBNAIL_COUNT;
+    await runFfmpeg(['-i', videoPath, '-vf', `fps=1/${interval.toFixed(3)}:start_time=${(interval / 2).toFixed(3)},scale=${THUMBNAIL_WIDTH}:-2,tile=${THUMBNAIL_COUNT}x1`, '-frames:v', '1', '-q:v', '4', thumbnailsPath], media);
+
+    // A few seconds from evenly spaced moments, with a palette made for these frames
+    const spacing = Math.max(duration / ANIMATED_MOMENTS, MOMENT_SECONDS);
+    const select = `select='lt(mod(t,${spacing.toFixed(3)}),${MOMENT_SECONDS})',setpts=N/FRAME_RATE/TB`;
+    await runFfmpeg(['-i', videoPath, '-an', '-filter_complex', `[0:v]${select},fps=${ANIMATED_FPS},scale=${ANIMATED_WIDTH}:-2:flags=lanczos,split[a][b];[a]palettegen=max_colors=128[p];[b][p]paletteuse=dither=bayer`, '-loop', '0', animatedPath], media);
+
+    return {
+        poster: { path: posterPath },
+        thumbnails: { path: thumbnailsPath, count: THUMBNAIL_COUNT, width: THUMBNAIL_WIDTH, interval: interval },
+        animated: { path: animatedPath, width: ANIMATED_WIDTH, seconds: Math.min(ANIMATED_MOMENTS * MOMENT_SECONDS, duration) }
+    };
+}
+
+module.exports = {
+    createPreviews
+};
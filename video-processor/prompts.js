@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+
+// Prompt templates are versioned text files at prompts/<id>/v<version>.txt. Published
+// versions are never edited; a change to a prompt is a new version file. Templates use
+// {{variable}} placeholders, e.g. {{transcript}}, {{topic}}, {{format}}, {{side}}, {{persona}}.
+
+const PROMPTS_DIR = process.env.PROMPTS_DIR || path.join(__dirname, 'prompts');
+const DEFAULT_TEMPLATE = process.env.PROMPT_TEMPLATE || 'response';
+const DEFAULT_PERSONA = process.env.PROMPT_PERSONA || 'an expert debate coach and AI assistant';
+
+const TEMPLATE_ID_PATTERN = /^[a-z0-9-]+$/;
+
+// Versions available for a template, oldest first
+function listVersions(id) {
+    if (!TEMPLATE_ID_PATTERN.test(id)) return [];
+    try {
+        return fs.readdirSync(path.join(PROMPTS_DIR, id))
+            .map(name => /^v(\d+)\.txt$/.exec(name))
+            .filter(Boolean)
+            .map(match => parseInt(match[1], 10))
+            .sort((a, b) => a - b);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+// Every template and its versions
+function listTemplates() {
+    return fs.readdirSync(PROMPTS_DIR, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => ({ id: entry.name, versions: listVersions(entry.name) }))
+        .filter(template => template.versions.length > 0);
+}
+
+// Parse a template reference such as "response", "response@2" or "response@latest" and pin
+// it to a concrete version, throwing if the template or version does not exist
+function resolveTemplateRef(ref) {
+    const [id, version = 'latest'] = (ref || DEFAULT_TEMPLATE).split('@');
+    const versions = listVersions(id);
+    if (versions.length === 0) {
+        throw new Error(`Unknown prompt template: ${id}`);
+    }
+
+    if (version === 'latest') {
+        return { id, version: versions[versions.length - 1] };
+    }
+    const number = parseInt(version.replace(/^v/, ''), 10);
+    if (!versions.includes(number)) {
+        throw new Error(`Unknown version of prompt template ${id}: ${version}. Expected one of: ${versions.join(', ')}`);
+    }
+    return { id, version: number };
+}
+
+function loadTemplate(ref) {
+    const { id, version } = typeof ref === 'string' ? resolveTemplateRef(ref) : ref;
+    const text = fs.readFileSync(path.join(PROMPTS_DIR, id, `v${version}.txt`), 'utf8');
+    return { id, version, text: text.replace(/\n$/, '') };
+}
+
+// Fill in a template's placeholders; a placeholder without a value is an error
+function renderTemplate(template, variables) {
+    return template.text.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => {
+        if (variables[name] === undefined || variables[name] === null) {
+            throw new Error(`Prompt template ${template.id}@${template.version} uses unknown variable: ${name}`);
+        }
+        return String(variables[name]);
+    });
+}
+
+function usesVariable(template, name) {
+    return new RegExp(`\\{\\{\\s*${name}\\s*\\}\\}`).test(template.text);
+}
+
+function formatTemplateRef(ref) {
+    return `${ref.id}@${ref.version}`;
+}
+
+module.exports = {
+    DEFAULT_PERSONA,
+    listTemplates,
+    resolveTemplateRef,
+    loadTemplate,
+    renderTemplate,
+    usesVariable,
+    formatTemplateRef
+};
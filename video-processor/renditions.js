@@ -0,0 +1,98 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { runFfmpeg } = require('./media');
+
+// Optional extra outputs of the response video besides the 1280x720 MP4:
+//   hls       - an HLS ladder of several bitrates with a master playlist, for streaming
+//   mp4-480p  - a low-bandwidth 480p MP4
+//   vertical  - a 9:16 MP4 for phones and social media, with the captions re-flowed
+// hls and mp4-480p are encoded from the final video; vertical is composed again from the
+// caption panel, voice-over and original (see verticalLayout in layouts.js).
+
+const RENDITIONS = ['hls', 'mp4-480p', 'vertical'];
+const HLS_SEGMENT_SECONDS = parseInt(process.env.HLS_SEGMENT_SECONDS || '6', 10);
+
+const HLS_LADDER = [
+    { name: '720p', width: 1280, height: 720, videoBitrate: 2800, audioBitrate: 128 },
+    { name: '480p', width: 854, height: 480, videoBitrate: 1400, audioBitrate: 96 },
+    { name: '360p', width: 640, height: 360, videoBitrate: 800, audioBitrate: 96 }
+];
+
+const CONTENT_TYPES = {
+    '.m3u8': 'application/vnd.apple.mpegurl',
+    '.ts': 'video/mp2t',
+    '.mp4': 'video/mp4'
+};
+
+// Parse requested renditions given as an array or a comma-separated string, throwing on unknown ones
+function parseRenditions(value) {
+    const requested = value === undefined || value === null ? (process.env.VIDEO_RENDITIONS || '') : value;
+    const items = Array.isArray(requested) ? requested : String(requested).split(',');
+    const renditions = [...new Set(items.map(item => String(item).trim()).filter(Boolean))];
+    for (const rendition of renditions) {
+        if (!RENDITIONS.includes(rendition)) {
+            throw new Error(`Unknown rendition: ${rendition}. Expected one of: ${RENDITIONS.join(', ')}`);
+        }
+    }
+    return renditions;
+}
+
+// Encode the HLS ladder into outputDir: <name>/playlist.m3u8 and its segments per variant,
+// and master.m3u8 pointing at them. Resolves to the variants and every file written.
+async function encodeHls(inputPath, outputDir, media = {}) {
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const split = `[0:v]split=${HLS_LADDER.length}${HLS_LADDER.map((variant, index) => `[v${index}]`).join('')}`;
+    const scales = HLS_LADDER.map((variant, index) => `[v${index}]scale=${variant.width}:${variant.height},setsar=1[v${index}out]`);
+    const outputs = HLS_LADDER.flatMap((variant, index) => [
+        '-map', `[v${index}out]`, `-c:v:${index}`, 'libx264', `-b:v:${index}`, `${variant.videoBitrate}k`,
+        `-maxrate:v:${index}`, `${Math.round(variant.videoBitrate * 1.07)}k`, `-bufsize:v:${index}`, `${variant.videoBitrate * 1.5}k`,
+        '-map', '0:a', `-c:a:${index}`, 'aac', `-b:a:${index}`, `${variant.audioBitrate}k`
+    ]);
+    const streamMap = HLS_LADDER.map((variant, index) => `v:${index},a:${index},name:${variant.name}`).join(' ');
+
+    // Keyframes on segment boundaries so every variant switches cleanly
+    await runFfmpeg([
+        '-i', inputPath, '-filter_complex', [split, ...scales].join(';'), ...outputs,
+        '-preset', 'fast', '-pix_fmt', 'yuv420p', '-g', String(HLS_SEGMENT_SECONDS * 30), '-keyint_min', String(HLS_SEGMENT_SECONDS * 30), '-sc_threshold', '0',
+        '-f', 'hls', '-hls_time', String(HLS_SEGMENT_SECONDS), '-hls_playlist_type', 'vod',
+        '-hls_segment_filename', `${outputDir}/%v/segment_%03d.ts`, '-master_pl_name', 'master.m3u8',
+        '-var_stream_map', streamMap, `${outputDir}/%v/playlist.m3u8`
+    ], media);
+
+    const files = [{ name: 'master.m3u8', path: path.join(outputDir, 'master.m3u8') }];
+    for (const variant of HLS_LADDER) {
+        for (const name of (await fs.readdir(path.join(outputDir, variant.name))).sort()) {
+            files.push({ name: `${variant.name}/${name}`, path: path.join(outputDir, variant.name, name) });
+        }
+    }
+
+    return {
+        variants: HLS_LADDER.map(variant => ({
+            name: variant.name,
+            width: variant.width,
+            height: variant.height,
+            bandwidth: (variant.videoBitrate + variant.audioBitrate) * 1000,
+            playlist: `${variant.name}/playlist.m3u8`
+        })),
+        files: files.map(file => ({ ...file, contentType: contentTypeFor(file.name) }))
+    };
+}
+
+// Encode the low-bandwidth MP4, with the index up front so it starts playing while downloading
+async function encodeLowBandwidth(inputPath, outputPath, media = {}) {
+    await runFfmpeg(['-i', inputPath, '-vf', 'scale=-2:480,setsar=1', '-c:v', 'libx264', '-preset', 'fast', '-crf', '28', '-maxrate', '900k', '-bufsize', '1800k',
+        '-pix_fmt', 'yuv420p', '-c:a', 'aac', '-b:a', '96k', '-ac', '2', '-movflags', '+faststart', outputPath], media);
+    return { path: outputPath, width: 854, height: 480 };
+}
+
+function contentTypeFor(name) {
+    return CONTENT_TYPES[path.extname(name)] || 'application/octet-stream';
+}
+
+module.exports = {
+    RENDITIONS,
+    parseRenditions,
+    encodeHls,
+    encodeLowBandwidth
+};
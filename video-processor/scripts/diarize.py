@@ -0,0 +1,28 @@
+#!/usr/bin/env python3
+"""Print RTTM speaker turns for a WAV file using pyannote.audio.
+
+Usage: diarize.py <audio.wav> [--max-speakers N]
+"""
+import argparse
+import os
+import sys
+
+from pyannote.audio import Pipeline
+
+
+def main():
+    parser = argparse.ArgumentParser()
+    parser.add_argument('audio')
+    parser.add_argument('--max-speakers', type=int, default=None)
+    args = parser.parse_args()
+
+    pipeline = Pipeline.from_pretrained(
+        os.environ.get('PYANNOTE_PIPELINE', 'pyannote/speaker-diarization-3.1'),
+        use_auth_token=os.environ.get('HF_TOKEN'),
+    )
+    diarization = pipeline(args.audio, max_speakers=args.max_speakers)
+    diarization.write_rttm(sys.stdout)
+
+
+if __name__ == '__main__':
+    main()
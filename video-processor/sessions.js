@@ -0,0 +1,151 @@
+const { hashesMatch } = require('./tokens');
+
+// Debate sessions group a user's speeches and the AI's responses across rounds. Each session is
+// a JSON object under sessions/ in the upload bucket holding its turns in order:
+// { fileId, jobId, side: 'student' | 'ai', speechRole, text, arguments?, createdAt }.
+// A session belongs to the session token of the upload that started it: it stores the token's
+// hash, and only requests with the same token can read it or add to it.
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+const CONTEXT_CHARS = parseInt(process.env.SESSION_CONTEXT_CHARS || '12000', 10);
+const EXCERPT_CHARS = 400;
+
+function createSessionStore(bucket) {
+    function sessionFile(sessionId) {
+        return bucket.file(`sessions/${sessionId}.json`);
+    }
+
+    // Load a session and the object generation it was read at
+    async function read(sessionId) {
+        const file = sessionFile(sessionId);
+        try {
+            const [contents] = await file.download();
+            const [metadata] = await file.getMetadata();
+            return { session: JSON.parse(contents.toString('utf8')), generation: metadata.generation };
+        } catch (error) {
+            if (error.code === 404) return { session: null, generation: 0 };
+            throw error;
+        }
+    }
+
+    // Load a session for the token hashing to tokenHash, without the stored hash. Resolves to
+    // null if the session does not exist or belongs to another token.
+    async function getSession(sessionId, tokenHash) {
+        const { session } = await read(sessionId);
+        if (!session || !hashesMatch(tokenHash, session.tokenHash)) return null;
+        const { tokenHash: stored, ...visible } = session;
+        return visible;
+    }
+
+    // Whether a request with the token hashing to tokenHash can use a session: it is the session's
+    // token, or the session does not exist yet and will be started with it
+    async function canUseSession(sessionId, tokenHash) {
+        const { session } = await read(sessionId);
+        return session ? hashesMatch(tokenHash, session.tokenHash) : Boolean(tokenHash);
+    }
+
+    // Add or replace the turns for one upload; retried jobs replace their earlier turns.
+    // details.tokenHash is the hash of the job's session token.
+    async function recordTurns(sessionId, details, turns) {
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const { session, generation } = await read(sessionId);
+            if (!session && !details.tokenHash) {
+                throw new Error(`Session ${sessionId} cannot be started without a session token`);
+            }
+            if (session && !hashesMatch(details.tokenHash, session.tokenHash)) {
+                throw new Error(`Session ${sessionId} belongs to another session token`);
+            }
+            const now = new Date().toISOString();
+            const updated = session || {
+                sessionId: sessionId,
+                tokenHash: details.tokenHash,
+                userEmail: details.userEmail,
+                topic: details.topic || '',
+                format: details.format || 'general',
+                createdAt: now,
+                turns: []
+            };
+
+            // A retried upload keeps its place in the session
+            const fileIds = new Set(turns.map(turn => turn.fileId));
+            const position = updated.turns.findIndex(turn => fileIds.has(turn.fileId));
+            const remaining = updated.turns.filter(turn => !fileIds.has(turn.fileId));
+            remaining.splice(position === -1 ? remaining.length : position, 0,
+                ...turns.map(turn => ({ ...turn, createdAt: now })));
+            updated.turns = remaining;
+            updated.updatedAt = now;
+
+            try {
+                // Only write if nobody else updated the session since we read it
+                await sessionFile(sessionId).save(JSON.stringify(updated, null, 2), {
+                    resumable: false,
+                    metadata: { contentType: 'application/json' },
+                    preconditionOpts: { ifGenerationMatch: generation }
+                });
+                return updated;
+            } catch (error) {
+                if (error.code !== 412) throw error;
+                console.log(`Session ${sessionId} changed while recording turns, retrying...`);
+            }
+        }
+        throw new Error(`Could not record turns for session ${sessionId}: too many concurrent updates`);
+    }
+
+    return {
+        getSession,
+        canUseSession,
+        recordTurns
+    };
+}
+
+// Assemble earlier turns for the prompt within the context budget. The newest turns are
+// quoted in full; older ones fall back to their argument outline or an excerpt, and the
+// oldest are dropped once the budget is spent.
+function buildSessionContext(session, currentFileId, maxChars = CONTEXT_CHARS) {
+    if (!session) return '';
+
+    // Only turns before the current upload; a reprocessed speech ignores later rounds
+    const position = session.turns.findIndex(turn => turn.fileId === currentFileId);
+    const turns = position === -1 ? session.turns : session.turns.slice(0, position);
+    const rendered = [];
+    let used = 0;
+    let omitted = 0;
+
+    for (let i = turns.length - 1; i >= 0; i--) {
+        const turn = turns[i];
+        const label = `${turn.side === 'ai' ? 'AI' : 'Student'} (${turn.speechRole || 'speech'})`;
+        const candidates = [
+            `${label}: ${turn.text}`,
+            turn.arguments ? `${label}, outline: ${outlineArguments(turn.arguments)}` : null,
+            `${label}, excerpt: ${turn.text.substring(0, EXCERPT_CHARS)}...`
+        ].filter(Boolean);
+
+        const fitting = candidates.find(text => used + text.length <= maxChars);
+        if (!fitting) {
+            omitted = i + 1;
+            break;
+        }
+        rendered.unshift(fitting);
+        used += fitting.length;
+    }
+
+    if (rendered.length === 0) return '';
+    const note = omitted > 0 ? `(${omitted} earlier speeches omitted)\n` : '';
+    return note + rendered.join('\n\n');
+}
+
+function outlineArguments(breakdown) {
+    return breakdown.contentions
+        .map(contention => `${contention.title} [${contention.claims.map(claim => claim.text).join('; ')}]`)
+        .join(' | ');
+}
+
+function isValidSessionId(sessionId) {
+    return SESSION_ID_PATTERN.test(sessionId);
+}
+
+module.exports = {
+    createSessionStore,
+    buildSessionContext,
+    isValidSessionId
+};
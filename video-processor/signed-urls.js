@@ -0,0 +1,86 @@
+// The upload bucket is private. Uploads and results are referred to by their storage URL,
+// gs://<bucket>/<path> (results stored before the bucket was made private use
+// https://storage.googleapis.com/<bucket>/<path>), which cannot be read on its own. The
+// processor reads objects through authenticated storage access, and the URLs given to users
+// in responses, emails and callbacks are time-limited V4 signed URLs made from the references.
+
+// API responses are signed fresh on every request; emails and callbacks are read later, so
+// their links last longer (V4 signed URLs last at most 7 days)
+const URL_TTL_SECONDS = parseInt(process.env.SIGNED_URL_TTL_SECONDS || '3600', 10);
+const LINK_TTL_SECONDS = Math.min(parseInt(process.env.EMAIL_LINK_TTL_SECONDS || '604800', 10), 604800);
+
+// Split a gs:// or storage.googleapis.com URL into its bucket and object name, or null for
+// any other URL
+function parseStorageUrl(url) {
+    if (typeof url !== 'string') return null;
+    const match = /^gs:\/\/([^/]+)\/(.+)$/.exec(url) || /^https:\/\/storage\.googleapis\.com\/([^/?#]+)\/([^?#]+)$/.exec(url);
+    if (!match) return null;
+    return {
+        bucket: match[1],
+        name: url.startsWith('gs://') ? match[2] : decodeURIComponent(match[2])
+    };
+}
+
+// Object name of the upload a processing request for fileId may read:
+// gs://<bucketName>/videos/upload_<fileId>.<ext>, or null for any other URL. Requests cannot
+// name another upload, or any other object the service account can read.
+function uploadObjectName(url, bucketName, fileId) {
+    const match = /^gs:\/\/([^/]+)\/(videos\/upload_([A-Za-z0-9_-]+)\.[A-Za-z0-9]+)$/.exec(typeof url === 'string' ? url : '');
+    if (!match || match[1] !== bucketName || match[3] !== fileId) return null;
+    return match[2];
+}
+
+function createUrlSigner(bucket) {
+    function storageUrl(filePath) {
+        return `gs://${bucket.name}/${filePath}`;
+    }
+
+    // Object name of a reference to an object in this bucket, or null
+    function objectName(url) {
+        const parsed = parseStorageUrl(url);
+        return parsed && parsed.bucket === bucket.name ? parsed.name : null;
+    }
+
+    // Sign a reference to an object in this bucket; any other URL is returned as it is
+    async function signUrl(url, ttlSeconds = URL_TTL_SECONDS) {
+        const name = objectName(url);
+        if (!name) return url;
+        const [signed] = await bucket.file(name).getSignedUrl({
+            version: 'v4',
+            action: 'read',
+            expires: Date.now() + ttlSeconds * 1000
+        });
+        return signed;
+    }
+
+    // Sign every reference to this bucket in a value (a job result, a session, ...), keeping
+    // its shape. Resolves to { value, expiresAt }.
+    async function signUrls(value, ttlSeconds = URL_TTL_SECONDS) {
+        const expiresAt = new Date(Date.now() + ttlSeconds * 1000).toISOString();
+        const walk = async item => {
+            if (typeof item === 'string') return objectName(item) ? signUrl(item, ttlSeconds) : item;
+            if (Array.isArray(item)) return Promise.all(item.map(walk));
+            if (item && typeof item === 'object') {
+                const entries = await Promise.all(Object.entries(item).map(async ([key, child]) => [key, await walk(child)]));
+                return Object.fromEntries(entries);
+            }
+            return item;
+        };
+        return { value: await walk(value), expiresAt };
+    }
+
+    return {
+        storageUrl,
+        objectName,
+        signUrl,
+        signUrls
+    };
+}
+
+module.exports = {
+    URL_TTL_SECONDS,
+    LINK_TTL_SECONDS,
+    parseStorageUrl,
+    uploadObjectName,
+    createUrlSigner
+};
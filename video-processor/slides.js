@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+const { generateValidatedJson, validateJson } = require('./structured-output');
+const { splitWords, joinWords, textWidth, wrapLines } = require('./text');
+
+// Slide decks for the response video: a title card with the topic, one slide per
+// counter-argument with bullet points and a closing card. The model groups the narration's
+// sentences into slides, so each slide is shown while its sentences are spoken. Slides are
+// drawn with ffmpeg drawtext/drawbox filters in the colours and fonts of a theme file at
+// themes/<name>.json, which needs nothing but ffmpeg and the fonts on a headless box. Slides in
+// scripts the theme's fonts lack use the language's fonts, and right-to-left slides are mirrored.
+
+const THEMES_DIR = process.env.SLIDE_THEMES_DIR || path.join(__dirname, 'themes');
+const DEFAULT_THEME = process.env.SLIDE_THEME || 'dark';
+const VISUALS = ['captions', 'slides'];
+const MAX_BULLETS = 4;
+const MIN_CARD_SECONDS = 2;
+// Space kept clear at the bottom for the burned-in captions
+const CAPTION_AREA = 150;
+
+const THEME_SCHEMA = {
+    type: 'object',
+    required: ['background', 'accent', 'titleColor', 'textColor', 'mutedColor', 'font', 'boldFont', 'cardTitleSize', 'titleSize', 'textSize'],
+    properties: {
+        name: { type: 'string' },
+        background: { type: 'string', pattern: '^#[0-9A-Fa-f]{6}$' },
+        accent: { type: 'string', pattern: '^#[0-9A-Fa-f]{6}$' },
+        titleColor: { type: 'string', pattern: '^#[0-9A-Fa-f]{6}$' },
+        textColor: { type: 'string', pattern: '^#[0-9A-Fa-f]{6}$' },
+        mutedColor: { type: 'string', pattern: '^#[0-9A-Fa-f]{6}$' },
+        font: { type: 'string' },
+        boldFont: { type: 'string' },
+        cardTitleSize: { type: 'number', minimum: 8 },
+        titleSize: { type: 'number', minimum: 8 },
+        textSize: { type: 'number', minimum: 8 }
+    }
+};
+
+// Resolve the visual style of a request: 'captions' or 'slides' with a theme
+function resolveVisuals(visuals, themeName) {
+    const style = visuals || process.env.VIDEO_VISUALS || 'captions';
+    if (!VISUALS.includes(style)) {
+        throw new Error(`Unknown visuals: ${visuals}. Expected one of: ${VISUALS.join(', ')}`);
+    }
+    return { style, theme: style === 'slides' ? loadTheme(themeName) : null };
+}
+
+function loadTheme(name) {
+    const id = name || DEFAULT_THEME;
+    if (!/^[a-z0-9-]+$/.test(id)) {
+        throw new Error(`Unknown slide theme: ${name}`);
+    }
+
+    let theme;
+    try {
+        theme = JSON.parse(fs.readFileSync(path.join(THEMES_DIR, `${id}.json`), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') throw new Error(`Unknown slide theme: ${name}`);
+        throw error;
+    }
+    const error = validateJson(THEME_SCHEMA, theme);
+    if (error) {
+        throw new Error(`Invalid slide theme ${id}: ${error}`);
+    }
+    return { id, ...theme };
+}
+
+function slideSchema(sentenceCount) {
+    const sentence = { type: 'integer', minimum: 1, maximum: sentenceCount };
+    return {
+        type: 'object',
+        required: ['slides', 'closing'],
+        properties: {
+            slides: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['title', 'bullets', 'firstSentence', 'lastSentence'],
+                    properties: {
+                        title: { type: 'string', minLength: 1, maxLength: 60 },
+                        bullets: { type: 'array', maxItems: MAX_BULLETS, items: { type: 'string', minLength: 1, maxLength: 90 } },
+                        firstSentence: sentence,
+                        lastSentence: sentence
+                    }
+                }
+            },
+            closing: { type: 'string', minLength: 1, maxLength: 80 }
+        }
+    };
+}
+
+// Plan the deck for a voice-over and time each slide to its sentences
+async function planSlides(voiceOver, options, generateText) {
+    const { topic, profile } = options;
+    const sentences = voiceOver.sentences;
+    const schema = slideSchema(sentences.length);
+    const prompt = `You are turning a spoken debate response into presentation slides. The narration's sentences are numbered:
+${sentences.map((sentence, index) => `${index + 1}. ${sentence.text}`).join('\n')}
+
+Make one slide per counter-argument, in the order they are spoken. Give each a short title and up to ${MAX_BULLETS} short bullet points, and the first and last sentence numbers that narrate it. Leave introduction and conclusion sentences out of the slides. Also give a one-line closing takeaway. Write the slides in the language of the narration.
+
+Reply with only JSON (no markdown) matching this JSON schema:
+${JSON.stringify(schema)}`;
+
+    const plan = await generateValidatedJson(generateText, prompt, schema, { label: 'Slide planning' });
+    return timeSlides(plan, voiceOver, {
+        title: topic || 'Debate Response',
+        subtitle: `${profile.name} - ${profile.role.responseRole}`
+    });
+}
+
+// Turn sentence ranges into times covering the whole narration: the title card until the
+// first slide, each slide until the next one starts and the closing card after the last
+function timeSlides(plan, voiceOver, card) {
+    const sentences = voiceOver.sentences;
+    const duration = voiceOver.duration;
+    const slides = plan.slides
+        .filter(slide => slide.lastSentence >= slide.firstSentence)
+        .sort((a, b) => a.firstSentence - b.firstSentence)
+        .filter((slide, index, all) => index === 0 || slide.firstSentence > all[index - 1].lastSentence);
+
+    const titleEnd = Math.min(Math.max(slides.length > 0 ? sentences[slides[0].firstSentence - 1].start : duration - MIN_CARD_SECONDS, MIN_CARD_SECONDS), duration);
+    const lastSlide = slides[slides.length - 1];
+    const closingStart = Math.max(lastSlide && lastSlide.lastSentence < sentences.length
+        ? sentences[lastSlide.lastSentence].start
+        : duration - MIN_CARD_SECONDS, titleEnd);
+
+    const timed = [{ type: 'title', title: card.title, subtitle: card.subtitle, start: 0, end: titleEnd }];
+    slides.forEach((slide, index) => {
+        const start = Math.max(sentences[slide.firstSentence - 1].start, titleEnd);
+        const next = slides[index + 1];
+        const end = Math.min(next ? sentences[next.firstSentence - 1].start : closingStart, closingStart);
+        if (end > start) {
+            timed.push({ type: 'point', title: slide.title, bullets: slide.bullets, start, end });
+        }
+    });
+    timed.push({ type: 'closing', title: plan.closing, start: closingStart, end: duration });
+    return timed;
+}
+
+// drawtext/drawbox filters drawing the slides over a background of the theme's colour.
+// Text goes through files so it needs no escaping; the caller removes them afterwards.
+function buildSlideFilters(slides, theme, size, filePrefix, language = null) {
+    // Sized for a 720-high frame, and smaller in frames narrower than 640
+    const scale = Math.min(size.height / 720, size.width / 640);
+    const margin = Math.round(60 * scale);
+    const filters = [];
+    const files = [];
+    const color = hex => `0x${hex.substring(1)}`;
+    const charsFor = fontSize => Math.max(Math.floor((size.width - 2 * margin) / (fontSize * scale * 0.58)), 12);
+    const rtl = Boolean(language) && language.direction === 'rtl';
+    const font = (language && language.fontFile) || theme.font;
+    const boldFont = (language && language.boldFontFile) || theme.boldFont;
+    // A right-to-left mark makes each line, bullet included, run from the right edge
+    const direction = lines => rtl ? lines.map(line => `\u200F${line}`) : lines;
+    const alignX = (x, width) => rtl ? `${size.width}-${x}-${width}` : x;
+
+    const text = (value, options) => {
+        const filePath = `${filePrefix}_slide${files.length}.txt`;
+        files.push({ path: filePath, contents: value });
+        const x = options.center ? '(w-text_w)/2' : alignX(options.x, 'text_w');
+        filters.push(`drawtext=fontfile='${options.font}':textfile='${filePath}':expansion=none:fontcolor=${color(options.color)}:fontsize=${Math.round(options.size * scale)}:line_spacing=${Math.round(10 * scale)}:x=${x}:y=${options.y}:enable='${options.enable}'`);
+    };
+
+    for (const slide of slides) {
+        const enable = `between(t,${slide.start.toFixed(2)},${slide.end.toFixed(2)})`;
+
+        if (slide.type === 'point') {
+            const titleLines = fitLines(slide.title, charsFor(theme.titleSize), 2);
+            text(direction(titleLines).join('\n'), { font: boldFont, color: theme.titleColor, size: theme.titleSize, x: margin, y: margin, enable });
+            const ruleY = margin + Math.round((theme.titleSize + 10) * scale * titleLines.length) + Math.round(12 * scale);
+            filters.push(`drawbox=x=${alignX(margin, Math.round(120 * scale))}:y=${ruleY}:w=${Math.round(120 * scale)}:h=${Math.max(Math.round(6 * scale), 2)}:color=${color(theme.accent)}:t=fill:enable='${enable}'`);
+
+            let y = ruleY + Math.round(36 * scale);
+            for (const bullet of slide.bullets.slice(0, MAX_BULLETS)) {
+                const lines = fitLines(bullet, charsFor(theme.textSize) - 2, 2);
+                const height = Math.round((theme.textSize + 10) * scale * lines.length);
+                if (y + height > size.height - CAPTION_AREA * scale) break;
+                text(direction(lines.map((line, index) => `${index === 0 ? '•' : ' '} ${line}`)).join('\n'), {
+                    font: font, color: theme.textColor, size: theme.textSize, x: margin, y, enable
+                });
+                y += height + Math.round(18 * scale);
+            }
+        } else {
+            const titleLines = fitLines(slide.title, charsFor(theme.cardTitleSize), 3);
+            const blockHeight = Math.round((theme.cardTitleSize + 10) * scale * titleLines.length);
+            const top = Math.round((size.height - CAPTION_AREA * scale - blockHeight) / 2);
+            text(direction(titleLines).join('\n'), { font: boldFont, color: theme.titleColor, size: theme.cardTitleSize, center: true, y: top, enable });
+            filters.push(`drawbox=x=(iw-${Math.round(160 * scale)})/2:y=${top + blockHeight + Math.round(16 * scale)}:w=${Math.round(160 * scale)}:h=${Math.max(Math.round(6 * scale), 2)}:color=${color(theme.accent)}:t=fill:enable='${enable}'`);
+            if (slide.subtitle) {
+                text(direction([slide.subtitle]).join('\n'), {
+                    font: font, color: theme.mutedColor, size: theme.textSize, center: true,
+                    y: top + blockHeight + Math.round(44 * scale), enable
+                });
+            }
+        }
+    }
+
+    return { filters, files, background: color(theme.background) };
+}
+
+// Wrap text into at most maxLines lines, shortening it first so the last line cannot overflow
+function fitLines(text, maxChars, maxLines) {
+    const limit = maxChars * maxLines - maxLines * 4;
+    if (textWidth(text) <= limit) return wrapLines(text, maxChars, maxLines);
+
+    const kept = [];
+    for (const word of splitWords(text)) {
+        if (textWidth(joinWords([...kept, word])) >= limit) break;
+        kept.push(word);
+    }
+    return wrapLines(`${joinWords(kept)}…`, maxChars, maxLines);
+}
+
+module.exports = {
+    resolveVisuals,
+    loadTheme,
+    planSlides,
+    timeSlides,
+    buildSlideFilters
+};
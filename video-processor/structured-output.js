@@ -0,0 +1,54 @@
+const Ajv = require('ajv');
+
+// Ask the model for JSON matching a schema. Output that fails to parse or validate is sent
+// back with the errors until it passes or the attempts run out.
+
+const ajv = new Ajv({ allErrors: true });
+
+async function generateValidatedJson(generateText, prompt, schema, options = {}) {
+    const attempts = options.attempts || 3;
+    const label = options.label || 'Structured output';
+    const validate = ajv.compile(schema);
+    let currentPrompt = prompt;
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+        const output = await generateText(currentPrompt);
+
+        try {
+            const value = parseJson(output);
+            if (!validate(value)) {
+                throw new Error(ajv.errorsText(validate.errors, { separator: '; ' }));
+            }
+            return value;
+        } catch (error) {
+            lastError = error;
+            console.log(`${label} attempt ${attempt} returned invalid JSON: ${error.message}`);
+            currentPrompt = `${prompt}
+
+Your previous answer was not valid: ${error.message}
+Previous answer:
+${output}
+
+Reply again with only the corrected JSON.`;
+        }
+    }
+
+    throw new Error(`${label} failed after ${attempts} attempts: ${lastError.message}`);
+}
+
+// Validate a value against a schema, returning an error message or null
+function validateJson(schema, value) {
+    const validate = ajv.compile(schema);
+    return validate(value) ? null : ajv.errorsText(validate.errors, { separator: '; ' });
+}
+
+function parseJson(output) {
+    const text = output.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    return JSON.parse(text);
+}
+
+module.exports = {
+    generateValidatedJson,
+    validateJson
+};
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { renderBallotHtml } = require('../ballot');
+
+function ballotIn(language) {
+    return {
+        language: language,
+        format: { name: 'Policy' },
+        topic: 'Tariffs',
+        rubric: { name: 'Default', scale: { min: 25, max: 30 }, criteria: [{ id: 'argumentation', name: 'Argumentation' }] },
+        decision: { winner: 'Affirmative', summary: 'The affirmative wins.' },
+        reasonForDecision: 'The harms went unanswered.',
+        speakers: [{ name: 'Ana', side: 'AFF', scores: { argumentation: 28 }, speakerPoints: 28, feedback: { strengths: ['Clear'], improvements: ['Slower'] } }]
+    };
+}
+
+test('renderBallotHtml sets lang and dir from the ballot language', () => {
+    assert.match(renderBallotHtml(ballotIn('ar')), /<html lang="ar" dir="rtl">/);
+    assert.match(renderBallotHtml(ballotIn('ru')), /<html lang="ru" dir="ltr">/);
+});
+
+test('renderBallotHtml treats a ballot without a language as the default one', () => {
+    assert.match(renderBallotHtml(ballotIn(undefined)), /<html lang="en" dir="ltr">/);
+});
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+
+const SECRET = 'test-secret';
+
+// callbacks.js reads its settings when it is loaded, so each test loads a fresh copy
+function loadCallbacks(env = {}) {
+    process.env.CALLBACK_SIGNING_SECRET = SECRET;
+    process.env.CALLBACK_RETRY_DELAY_MS = '1';
+    delete process.env.CALLBACK_ALLOW_INSECURE;
+    Object.assign(process.env, env);
+    delete require.cache[require.resolve('../callbacks')];
+    return require('../callbacks');
+}
+
+// A local receiver answering with the given statuses in turn and recording each request
+async function startReceiver(statuses) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body: body });
+            res.statusCode = statuses[Math.min(requests.length, statuses.length) - 1];
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        requests: requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+test.after(() => {
+    delete process.env.CALLBACK_SIGNING_SECRET;
+    delete process.env.CALLBACK_RETRY_DELAY_MS;
+    delete process.env.CALLBACK_ALLOW_INSECURE;
+});
+
+test('signPayload is the hex HMAC-SHA256 of "<timestamp>.<body>"', () => {
+    const { signPayload } = loadCallbacks();
+    assert.equal(
+        signPayload('{"event":"job.completed"}', 1700000000),
+        'eb6b2638b6a6b43bdf28bcc796e31c9af5e14fc362629e44580910a95ed929e0'
+    );
+});
+
+test('deliverCallback sends the event with signature, timestamp and event headers', async () => {
+    const { deliverCallback } = loadCallbacks({ CALLBACK_ALLOW_INSECURE: 'true' });
+    const receiver = await startReceiver([204]);
+    try {
+        const event = { event: 'job.completed', eventId: 'evt_1', fileId: 'abc12345' };
+        const delivery = await deliverCallback(receiver.url, event);
+        assert.equal(delivery.status, 'sent');
+
+        const [{ headers, body }] = receiver.requests;
+        assert.deepEqual(JSON.parse(body), event);
+        assert.equal(headers['content-type'], 'application/json');
+        assert.equal(headers['x-debate-event'], 'job.completed');
+        assert.equal(headers['x-debate-event-id'], 'evt_1');
+        assert.match(headers['x-debate-timestamp'], /^\d+$/);
+        const expected = crypto.createHmac('sha256', SECRET).update(`${headers['x-debate-timestamp']}.${body}`).digest('hex');
+        assert.equal(headers['x-debate-signature'], `sha256=${expected}`);
+    } finally {
+        await receiver.close();
+    }
+});
+
+test('deliverCallback retries server errors and stops at the first 4xx', async () => {
+    const { deliverCallback } = loadCallbacks({ CALLBACK_ALLOW_INSECURE: 'true' });
+    const receiver = await startReceiver([503, 400, 200]);
+    try {
+        const delivery = await deliverCallback(receiver.url, { event: 'job.failed', eventId: 'evt_2' }, { maxAttempts: 5 });
+        assert.equal(delivery.status, 'failed');
+        assert.deepEqual(delivery.attempts.map(attempt => attempt.status), [503, 400]);
+        assert.equal(receiver.requests.length, 2);
+        // Every attempt carries the same event ID
+        assert.deepEqual(receiver.requests.map(request => request.headers['x-debate-event-id']), ['evt_2', 'evt_2']);
+    } finally {
+        await receiver.close();
+    }
+});
+
+test('isInternalHost rejects private, loopback, link-local, v4-mapped and NAT64 addresses', () => {
+    const { isInternalHost } = loadCallbacks();
+    const internal = [
+        'localhost', 'api.localhost', 'metadata.google.internal',
+        '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1',
+        '[::1]', '::', 'fd00::1', 'fe80::1', 'ff02::1',
+        '[::ffff:a00:1]', '::ffff:127.0.0.1',
+        '[64:ff9b::7f00:1]', '64:ff9b::a9fe:a9fe', '64:ff9b:1::a00:1'
+    ];
+    for (const host of internal) {
+        assert.equal(isInternalHost(host), true, host);
+    }
+    for (const host of ['example.com', '93.184.216.34', '172.32.0.1', '2606:4700::1111']) {
+        assert.equal(isInternalHost(host), false, host);
+    }
+});
+
+test('validateCallbackUrl rejects internal hosts, including NAT64 addresses', () => {
+    const { validateCallbackUrl } = loadCallbacks();
+    assert.equal(validateCallbackUrl('https://receiver.example/hook'), 'https://receiver.example/hook');
+    assert.throws(() => validateCallbackUrl('http://receiver.example/hook'), /must be an https URL/);
+    for (const url of ['https://127.0.0.1/hook', 'https://[::ffff:7f00:1]/hook', 'https://[64:ff9b::a9fe:a9fe]/hook']) {
+        assert.throws(() => validateCallbackUrl(url), /must be a public host/, url);
+    }
+});
+
+test('the callback host is resolved when the event is sent, and internal answers are not retried', async (t) => {
+    const { validateCallbackUrl, deliverCallback } = loadCallbacks();
+    // The host passes when the job is queued, then resolves to an internal address
+    const url = validateCallbackUrl('https://rebinding.example/hook');
+    const lookups = [];
+    t.mock.method(dns, 'lookup', (hostname, options, callback) => {
+        lookups.push(hostname);
+        callback(null, [{ address: '93.184.216.34', family: 4 }, { address: '169.254.169.254', family: 4 }]);
+    });
+
+    const delivery = await deliverCallback(url, { event: 'job.completed', eventId: 'evt_3' }, { maxAttempts: 3 });
+    assert.deepEqual(lookups, ['rebinding.example']);
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts.length, 1);
+    assert.match(delivery.attempts[0].error, /resolves to an internal address \(169\.254\.169\.254\)/);
+});
+
+test('publicLookup answers with the addresses it checked', (t, done) => {
+    const { publicLookup } = loadCallbacks();
+    t.mock.method(dns, 'lookup', (hostname, options, callback) => {
+        assert.equal(options.all, true);
+        callback(null, [{ address: '93.184.216.34', family: 4 }]);
+    });
+    publicLookup('receiver.example', {}, (error, address, family) => {
+        assert.equal(error, null);
+        assert.equal(address, '93.184.216.34');
+        assert.equal(family, 4);
+        done();
+    });
+});
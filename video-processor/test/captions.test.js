@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { buildCues, toSrt } = require('../captions');
+
+// A voice-over with words spoken a quarter of a second apart
+function timedVoiceOver(sentences) {
+    const words = [];
+    const timings = [];
+    let time = 0;
+    for (const text of sentences) {
+        const start = time;
+        for (const word of text.split(' ')) {
+            words.push({ word, start: time, end: time + 0.25 });
+            time += 0.25;
+        }
+        timings.push({ text, start, end: time });
+    }
+    return { sentences: timings, words, duration: time };
+}
+
+test('buildCues times each sentence from its words', () => {
+    const cues = buildCues(timedVoiceOver(['First point here.', 'Second point follows.']));
+    assert.equal(cues.length, 2);
+    assert.deepEqual(cues.map(cue => cue.text), ['First point here.', 'Second point follows.']);
+    assert.equal(cues[0].start, 0);
+    assert.equal(cues[1].start, 0.75);
+    assert.equal(cues[1].end, 1.5);
+});
+
+test('buildCues splits long sentences into cues of at most two lines', () => {
+    const sentence = 'The negative has dropped the solvency deficit entirely, so the affirmative advantage stands and outweighs every disadvantage they read in the first constructive speech.';
+    const cues = buildCues(timedVoiceOver([sentence]), { maxLineChars: 30 });
+    assert.ok(cues.length > 1);
+    for (const cue of cues) {
+        assert.ok(cue.lines.length <= 2);
+        for (const line of cue.lines) assert.ok(line.length <= 30, line);
+    }
+    assert.equal(cues.map(cue => cue.text).join(' '), sentence);
+    for (let i = 1; i < cues.length; i++) assert.ok(cues[i].start >= cues[i - 1].end - 1e-9);
+});
+
+test('buildCues shares sentence time by length when there are no word timings', () => {
+    const cues = buildCues({
+        sentences: [{ text: 'Only sentence timings here.', start: 1, end: 3 }],
+        words: null
+    });
+    assert.equal(cues.length, 1);
+    assert.equal(cues[0].start, 1);
+    assert.equal(cues[0].end, 3);
+});
+
+test('buildCues closes short gaps between cues', () => {
+    const cues = buildCues({
+        sentences: [{ text: 'One.', start: 0, end: 1 }, { text: 'Two.', start: 1.2, end: 2 }],
+        words: null
+    });
+    assert.equal(cues[0].end, 1.2);
+});
+
+test('buildCues marks right-to-left lines', () => {
+    const cues = buildCues({ sentences: [{ text: 'مرحبا بكم', start: 0, end: 1 }], words: null }, { direction: 'rtl' });
+    assert.ok(cues[0].lines.every(line => line.startsWith('\u200F')));
+});
+
+test('toSrt numbers cues and formats timestamps', () => {
+    const srt = toSrt([
+        { start: 0, end: 1.5, lines: ['First line', 'second line'] },
+        { start: 3661.25, end: 3662, lines: ['Later'] }
+    ]);
+    assert.equal(srt, '1\n00:00:00,000 --> 00:00:01,500\nFirst line\nsecond line\n\n2\n01:01:01,250 --> 01:01:02,000\nLater\n');
+});
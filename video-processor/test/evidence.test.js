@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { parseCsv, parseMarkdownCards, parseEvidence, buildIndex, searchEvidence, createEvidenceStore } = require('../evidence');
+const { memoryBucket } = require('./memory-bucket');
+
+test('parseCsv reads quoted fields with commas, newlines and doubled quotes', () => {
+    const rows = parseCsv('tag,quote,source\r\n"Econ, growth","Said ""yes""\non two lines",Smith 2020\n');
+    assert.deepEqual(rows, [
+        ['tag', 'quote', 'source'],
+        ['Econ, growth', 'Said "yes"\non two lines', 'Smith 2020']
+    ]);
+});
+
+test('parseCsv keeps a last row without a newline and empty fields', () => {
+    assert.deepEqual(parseCsv('a,,c\nd,e,'), [['a', '', 'c'], ['d', 'e', '']]);
+});
+
+test('parseMarkdownCards reads a card per heading', () => {
+    const cards = parseMarkdownCards([
+        '# Not a card line before any heading is ignored',
+        '',
+        '## Warming harms',
+        '**Source:** IPCC 2021',
+        '- Date: 2021-08-09',
+        '> Warming will exceed 1.5C',
+        '> this century.',
+        '',
+        '### Jobs',
+        'Source: BLS',
+        'Unemployment fell.'
+    ].join('\n'));
+    assert.deepEqual(cards, [
+        { tag: 'Not a card line before any heading is ignored', quote: '' },
+        { tag: 'Warming harms', quote: 'Warming will exceed 1.5C this century.', source: 'IPCC 2021', date: '2021-08-09' },
+        { tag: 'Jobs', quote: 'Unemployment fell.', source: 'BLS' }
+    ]);
+});
+
+test('parseEvidence validates cards from CSV', () => {
+    const cards = parseEvidence('Tag,Quote,Source,Date\nTrade,Tariffs raise prices,Fed 2019,2019\n', 'csv');
+    assert.deepEqual(cards, [{ id: '1', tag: 'Trade', quote: 'Tariffs raise prices', source: 'Fed 2019', date: '2019' }]);
+    assert.throws(() => parseEvidence('# Tag only\nNo source here', 'markdown'), /Invalid evidence cards/);
+});
+
+test('searchEvidence ranks the cards sharing the most query terms first', () => {
+    const index = buildIndex([
+        { id: '1', tag: 'Tariffs', quote: 'Tariffs raise consumer prices', source: 'Fed', date: null },
+        { id: '2', tag: 'Climate', quote: 'Carbon emissions drive warming', source: 'IPCC', date: null },
+        { id: '3', tag: 'Trade deficits', quote: 'Tariffs rarely shrink trade deficits', source: 'CBO', date: null }
+    ]);
+    assert.deepEqual(searchEvidence(index, 'Do tariffs reduce trade deficits?').map(card => card.id), ['3', '1']);
+    assert.deepEqual(searchEvidence(index, 'carbon warming', 1).map(card => card.id), ['2']);
+    assert.deepEqual(searchEvidence(index, 'unrelated question'), []);
+});
+
+test('saveLibrary returns an owner token when it creates a library, storing only its hash', async () => {
+    const bucket = memoryBucket();
+    const evidenceStore = createEvidenceStore(bucket);
+    const cards = [{ id: '1', tag: 'Trade', quote: 'Tariffs raise prices', source: 'Fed', date: null }];
+
+    const library = await evidenceStore.saveLibrary({ libraryId: 'team-cards', name: 'Team' }, cards);
+    assert.equal(typeof library.ownerToken, 'string');
+    assert.ok(!bucket.objects.get('evidence/team-cards.json').contents.includes(library.ownerToken));
+    assert.equal('ownerTokenHash' in (await evidenceStore.getLibrary('team-cards')), false);
+});
+
+test('saveLibrary replaces an existing library only with its owner token', async () => {
+    const evidenceStore = createEvidenceStore(memoryBucket());
+    const cards = [{ id: '1', tag: 'Trade', quote: 'Tariffs raise prices', source: 'Fed', date: null }];
+    const replacement = [{ id: '1', tag: 'Climate', quote: 'Carbon drives warming', source: 'IPCC', date: null }];
+    const { ownerToken } = await evidenceStore.saveLibrary({ libraryId: 'team-cards', name: 'Team' }, cards);
+
+    assert.equal(await evidenceStore.saveLibrary({ libraryId: 'team-cards', name: 'Other team' }, replacement), null);
+    assert.equal(await evidenceStore.saveLibrary({ libraryId: 'team-cards', ownerToken: 'guess' }, replacement), null);
+    assert.equal((await evidenceStore.getLibrary('team-cards')).name, 'Team');
+
+    const replaced = await evidenceStore.saveLibrary({ libraryId: 'team-cards', name: 'Team', ownerToken }, replacement);
+    assert.equal(replaced.ownerToken, null);
+    assert.deepEqual((await evidenceStore.getLibrary('team-cards')).cards, replacement);
+});
+
+test('saveLibrary does not replace a library stored without an owner token', async () => {
+    const bucket = memoryBucket();
+    await bucket.file('evidence/old-cards.json').save(JSON.stringify({ libraryId: 'old-cards', name: 'Old', cards: [] }));
+    const evidenceStore = createEvidenceStore(bucket);
+    assert.equal(await evidenceStore.saveLibrary({ libraryId: 'old-cards', ownerToken: 'anything' }, []), null);
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { resolveFormat } = require('../formats');
+
+test('resolveFormat falls back to the general format and its default role', () => {
+    const profile = resolveFormat();
+    assert.equal(profile.id, 'general');
+    assert.equal(profile.roleId, 'speech');
+});
+
+test('resolveFormat resolves a format and speech role', () => {
+    const profile = resolveFormat('policy', '1AR');
+    assert.equal(profile.id, 'policy');
+    assert.equal(profile.roleId, '1AR');
+    assert.equal(profile.role, profile.roles['1AR']);
+});
+
+test('resolveFormat rejects Object.prototype names as formats and roles', () => {
+    for (const formatId of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+        assert.throws(() => resolveFormat(formatId), /Unknown debate format/, formatId);
+    }
+    for (const speechRole of ['constructor', 'toString', '__proto__', 'valueOf']) {
+        assert.throws(() => resolveFormat('policy', speechRole), /Unknown speech role for/, speechRole);
+    }
+});
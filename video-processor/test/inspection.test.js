@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { inspectMedia } = require('../inspection');
+
+// A stand-in for ffprobe: describes a WebM without a duration, as browser recordings often are,
+// and lists PACKETS audio packets 5 ms apart when asked for packet times
+const FAKE_FFPROBE = `#!${process.execPath}
+const args = process.argv.slice(2);
+if (args.includes('-show_streams')) {
+    process.stdout.write(JSON.stringify({
+        format: { format_name: 'matroska,webm', format_long_name: 'Matroska / WebM', size: '1000' },
+        streams: [
+            { codec_type: 'video', codec_name: 'vp9', width: 640, height: 360 },
+            { codec_type: 'audio', codec_name: 'opus', channels: 1, sample_rate: '48000' }
+        ]
+    }));
+} else {
+    const count = parseInt(process.env.PACKETS, 10);
+    const lines = [];
+    for (let i = 0; i < count; i++) lines.push((i * 0.005).toFixed(3));
+    // Packets are not always listed in time order
+    if (lines.length > 1) lines.push(lines.splice(-2, 1)[0]);
+    process.stdout.write(lines.join('\\n') + '\\n');
+}
+`;
+
+let directory;
+let videoPath;
+
+test.before(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'inspection-test-'));
+    const ffprobePath = path.join(directory, 'ffprobe');
+    await fs.writeFile(ffprobePath, FAKE_FFPROBE, { mode: 0o755 });
+    videoPath = path.join(directory, 'recording.webm');
+    await fs.writeFile(videoPath, '');
+    process.env.FFPROBE_PATH = ffprobePath;
+});
+
+test.after(async () => {
+    delete process.env.FFPROBE_PATH;
+    delete process.env.PACKETS;
+    await fs.rm(directory, { recursive: true, force: true });
+});
+
+test('inspectMedia reads the duration of a recording with too many packets to spread into Math.max', async () => {
+    // 500,000 packets: Math.max(...times) throws a RangeError for lists this long
+    process.env.PACKETS = '500000';
+    const media = await inspectMedia(videoPath);
+    assert.equal(media.duration, 2499.995);
+    assert.equal(media.container, 'matroska,webm');
+    assert.deepEqual(media.audio, { codec: 'opus', channels: 1, sampleRate: 48000 });
+});
+
+test('inspectMedia rejects a recording whose length cannot be read', async () => {
+    process.env.PACKETS = '0';
+    await assert.rejects(inspectMedia(videoPath), { name: 'MediaInspectionError', code: 'media_unreadable' });
+});
+
+test('inspectMedia rejects a file named for another container', async () => {
+    process.env.PACKETS = '10';
+    await assert.rejects(inspectMedia(videoPath, { extension: '.mp4' }), { code: 'container_mismatch' });
+});
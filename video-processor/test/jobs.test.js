@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { parseStepTimeouts, isValidFileId, runIdFor, createJobStore } = require('../jobs');
+const { memoryBucket } = require('./memory-bucket');
+
+test('parseStepTimeouts reads step=seconds entries', () => {
+    assert.deepEqual(parseStepTimeouts('renditions=5400, transcribe = 7200'), { renditions: 5400, transcribe: 7200 });
+});
+
+test('parseStepTimeouts ignores empty values and entries', () => {
+    assert.deepEqual(parseStepTimeouts(undefined), {});
+    assert.deepEqual(parseStepTimeouts(''), {});
+    assert.deepEqual(parseStepTimeouts('combine=60,,'), { combine: 60 });
+});
+
+test('parseStepTimeouts rejects entries without a positive number of seconds', () => {
+    assert.throws(() => parseStepTimeouts('combine'), /Invalid STEP_TIMEOUTS entry: combine/);
+    assert.throws(() => parseStepTimeouts('combine=0'), /Invalid STEP_TIMEOUTS entry/);
+    assert.throws(() => parseStepTimeouts('combine=soon'), /Invalid STEP_TIMEOUTS entry/);
+});
+
+test('isValidFileId accepts upload IDs and rejects characters unsafe in paths and filters', () => {
+    assert.ok(isValidFileId('8f14e45f-ceea-467f-a0e6-8b3f0d2d7a4c'));
+    assert.ok(isValidFileId('upload_12'));
+    for (const fileId of ['short', 'a'.repeat(65), "abc12345'", 'abc/../12345', 'abc12345:x', 'abc 12345', null, 12345678]) {
+        assert.equal(isValidFileId(fileId), false, String(fileId));
+    }
+});
+
+test('runIdFor keeps the fileId for the first version', () => {
+    assert.equal(runIdFor('abc12345', 1), 'abc12345');
+    assert.equal(runIdFor('abc12345', 3), 'abc12345-v3');
+});
+
+test('the notify step runs after the job completes without changing its status', async () => {
+    const jobStore = createJobStore(memoryBucket());
+    const job = await jobStore.createJob({ fileId: 'abc12345', mode: 'respond' });
+    await jobStore.startStep(job, 'upload');
+    await jobStore.completeStep(job, 'upload');
+    await jobStore.completeJob(job, { finalVideoUrl: 'gs://uploads/responses/response_abc12345.mp4' });
+
+    await jobStore.startStep(job, 'notify');
+    let stored = await jobStore.getJob(job.jobId);
+    assert.equal(stored.status, 'completed');
+    assert.equal(stored.currentStep, null);
+    assert.equal(stored.steps.notify.status, 'running');
+
+    await jobStore.failStep(job, 'notify', new Error('Could not sign the links'));
+    stored = await jobStore.getJob(job.jobId);
+    assert.equal(stored.status, 'completed');
+    assert.equal(stored.error, null);
+    assert.equal(stored.steps.notify.status, 'failed');
+    assert.equal(stored.steps.notify.error, 'Could not sign the links');
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { resolveLayout, planAlternatingSegments } = require('../layouts');
+
+const breakdown = {
+    contentions: [
+        { title: 'Tariffs raise prices', start: 5, end: 40, claims: [{ text: 'Consumers pay more for imported goods' }] },
+        { title: 'Manufacturing jobs', start: 40, end: 45, claims: [{ text: 'Factories return when imports cost more' }] }
+    ]
+};
+
+test('planAlternatingSegments pairs each point with the response sentences answering it', () => {
+    const segments = planAlternatingSegments(breakdown, {
+        duration: 30,
+        sentences: [
+            { text: 'Tariffs do raise prices for consumers.', start: 0, end: 8 },
+            { text: 'Imported goods cost more, and that is the point.', start: 8, end: 14 },
+            { text: 'But factories are not coming back for manufacturing jobs.', start: 14, end: 22 },
+            { text: 'In the end the judge should vote negative.', start: 22, end: 30 }
+        ]
+    });
+    assert.deepEqual(segments, [
+        { point: 'Tariffs raise prices', excerpt: { start: 5, end: 17 }, response: { start: 0, end: 14 } },
+        { point: 'Manufacturing jobs', excerpt: { start: 40, end: 45 }, response: { start: 14, end: 30 } }
+    ]);
+});
+
+test('planAlternatingSegments plays each excerpt only before the first run answering its point', () => {
+    const segments = planAlternatingSegments(breakdown, {
+        duration: 30,
+        sentences: [
+            { text: 'Tariffs raise prices.', start: 0, end: 10 },
+            { text: 'Manufacturing jobs will not return.', start: 10, end: 20 },
+            { text: 'And again, tariffs raise prices.', start: 20, end: 30 }
+        ]
+    });
+    assert.deepEqual(segments.map(segment => segment.point), ['Tariffs raise prices', 'Manufacturing jobs', 'Tariffs raise prices']);
+    assert.equal(segments[2].excerpt, null);
+    assert.deepEqual(segments[2].response, { start: 20, end: 30 });
+});
+
+test('planAlternatingSegments opens with the first point when nothing matches', () => {
+    const segments = planAlternatingSegments(breakdown, {
+        duration: 12,
+        sentences: [{ text: 'Nothing here overlaps.', start: 0, end: 12 }]
+    });
+    assert.deepEqual(segments, [
+        { point: 'Tariffs raise prices', excerpt: { start: 5, end: 17 }, response: { start: 0, end: 12 } }
+    ]);
+});
+
+test('planAlternatingSegments uses the claims of a single contention as its points', () => {
+    const segments = planAlternatingSegments({
+        contentions: [{
+            title: 'Only contention',
+            start: 0,
+            end: 60,
+            claims: [
+                { text: 'Solar panels are cheap', start: 2, end: 2.5 },
+                { text: 'Batteries store power overnight', start: 30, end: 50 }
+            ]
+        }]
+    }, {
+        duration: 20,
+        sentences: [
+            { text: 'Solar panels are not cheap to install.', start: 0, end: 10 },
+            { text: 'Batteries cannot store power overnight at scale.', start: 10, end: 20 }
+        ]
+    });
+    assert.deepEqual(segments.map(segment => segment.point), ['Solar panels are cheap', 'Batteries store power overnight']);
+    // Excerpts last at least a second
+    assert.deepEqual(segments[0].excerpt, { start: 2, end: 3 });
+    assert.deepEqual(segments[1].excerpt, { start: 30, end: 42 });
+});
+
+test('resolveLayout rejects Object.prototype names', () => {
+    for (const name of ['constructor', 'toString', '__proto__']) {
+        assert.throws(() => resolveLayout(name), /Unknown video layout/, name);
+    }
+});
@@ -0,0 +1,29 @@
+// A Cloud Storage bucket kept in memory, with object generations and ifGenerationMatch
+// preconditions, for testing the stores
+function memoryBucket() {
+    const objects = new Map();
+    return {
+        objects: objects,
+        file: name => ({
+            save: async (contents, options = {}) => {
+                const current = objects.get(name);
+                const generation = current ? current.generation : 0;
+                const precondition = options.preconditionOpts && options.preconditionOpts.ifGenerationMatch;
+                if (precondition !== undefined && precondition !== generation) {
+                    throw Object.assign(new Error('Precondition failed'), { code: 412 });
+                }
+                objects.set(name, { contents: String(contents), generation: generation + 1 });
+            },
+            download: async () => {
+                if (!objects.has(name)) throw Object.assign(new Error('Not found'), { code: 404 });
+                return [Buffer.from(objects.get(name).contents)];
+            },
+            getMetadata: async () => {
+                if (!objects.has(name)) throw Object.assign(new Error('Not found'), { code: 404 });
+                return [{ generation: objects.get(name).generation }];
+            }
+        })
+    };
+}
+
+module.exports = { memoryBucket };
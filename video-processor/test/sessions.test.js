@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { createSessionStore } = require('../sessions');
+const { hashToken } = require('../tokens');
+const { memoryBucket } = require('./memory-bucket');
+
+const turn = { fileId: 'upload-1', jobId: 'job-1', side: 'student', speechRole: 'AC', text: 'Tariffs raise prices.' };
+
+test('a session is read and added to only with the token that started it', async () => {
+    const sessionStore = createSessionStore(memoryBucket());
+    const tokenHash = hashToken('owner-token');
+    const otherHash = hashToken('someone-else');
+
+    assert.equal(await sessionStore.canUseSession('round-one', tokenHash), true);
+    await sessionStore.recordTurns('round-one', { userEmail: 'a@example.com', tokenHash }, [turn]);
+
+    const session = await sessionStore.getSession('round-one', tokenHash);
+    assert.deepEqual(session.turns.map(entry => entry.text), ['Tariffs raise prices.']);
+    assert.equal('tokenHash' in session, false);
+
+    assert.equal(await sessionStore.getSession('round-one', otherHash), null);
+    assert.equal(await sessionStore.getSession('round-one', null), null);
+    assert.equal(await sessionStore.canUseSession('round-one', otherHash), false);
+    await assert.rejects(
+        sessionStore.recordTurns('round-one', { userEmail: 'b@example.com', tokenHash: otherHash }, [{ ...turn, fileId: 'upload-2' }]),
+        /belongs to another session token/
+    );
+});
+
+test('a session needs a token to be started, and one stored without a token cannot be used', async () => {
+    const bucket = memoryBucket();
+    const sessionStore = createSessionStore(bucket);
+    assert.equal(await sessionStore.canUseSession('no-token', null), false);
+    await assert.rejects(sessionStore.recordTurns('no-token', { userEmail: 'a@example.com' }, [turn]), /cannot be started without a session token/);
+
+    await bucket.file('sessions/old-session.json').save(JSON.stringify({ sessionId: 'old-session', turns: [turn] }));
+    assert.equal(await sessionStore.getSession('old-session', hashToken('any-token')), null);
+    assert.equal(await sessionStore.canUseSession('old-session', hashToken('any-token')), false);
+});
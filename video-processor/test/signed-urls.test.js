@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { parseStorageUrl, uploadObjectName } = require('../signed-urls');
+
+test('parseStorageUrl reads gs:// references', () => {
+    assert.deepEqual(parseStorageUrl('gs://uploads/videos/upload_1.mp4'), { bucket: 'uploads', name: 'videos/upload_1.mp4' });
+});
+
+test('parseStorageUrl reads storage.googleapis.com URLs, decoding the object name', () => {
+    assert.deepEqual(parseStorageUrl('https://storage.googleapis.com/uploads/responses/my%20video.mp4'), {
+        bucket: 'uploads',
+        name: 'responses/my video.mp4'
+    });
+});
+
+test('parseStorageUrl returns null for other URLs', () => {
+    assert.equal(parseStorageUrl('https://example.com/uploads/video.mp4'), null);
+    assert.equal(parseStorageUrl('https://storage.googleapis.com/uploads/video.mp4?X-Goog-Signature=abc'), null);
+    assert.equal(parseStorageUrl('gs://uploads'), null);
+    assert.equal(parseStorageUrl(null), null);
+});
+
+test('uploadObjectName accepts the upload for the request fileId in the upload bucket', () => {
+    assert.equal(uploadObjectName('gs://uploads/videos/upload_abc-123_XY.webm', 'uploads', 'abc-123_XY'), 'videos/upload_abc-123_XY.webm');
+});
+
+test('uploadObjectName rejects any other object', () => {
+    const fileId = 'abc-123_XY';
+    const rejected = [
+        // Another bucket the service account can read
+        'gs://other-bucket/videos/upload_abc-123_XY.mp4',
+        // Another user's upload
+        'gs://uploads/videos/upload_someone-else.mp4',
+        // Other objects in the upload bucket
+        'gs://uploads/jobs/abc-123_XY.json',
+        'gs://uploads/responses/response_abc-123_XY.mp4',
+        'gs://uploads/videos/upload_abc-123_XY.mp4/../../jobs/x.json',
+        'gs://uploads/videos/upload_abc-123_XY',
+        // URLs that are not gs:// references
+        'https://storage.googleapis.com/uploads/videos/upload_abc-123_XY.mp4',
+        'https://example.com/videos/upload_abc-123_XY.mp4',
+        'file:///etc/passwd',
+        ''
+    ];
+    for (const url of rejected) {
+        assert.equal(uploadObjectName(url, 'uploads', fileId), null, url);
+    }
+    assert.equal(uploadObjectName(undefined, 'uploads', fileId), null);
+});
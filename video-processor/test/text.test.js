@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { splitSentences, wrapLines, textWidth } = require('../text');
+
+test('splitSentences splits on sentence punctuation', () => {
+    assert.deepEqual(splitSentences('First point. Second point! Is there a third? Yes.'), [
+        'First point.',
+        'Second point!',
+        'Is there a third?',
+        'Yes.'
+    ]);
+});
+
+test('splitSentences keeps abbreviations, initials and decimals in their sentence', () => {
+    assert.deepEqual(splitSentences('Dr. Smith and J. Doe agree. Growth was 2.5 percent, approx. five times more.'), [
+        'Dr. Smith and J. Doe agree.',
+        'Growth was 2.5 percent, approx. five times more.'
+    ]);
+});
+
+test('splitSentences does not break before a lowercase word', () => {
+    assert.deepEqual(splitSentences('The plan costs less. and it works.'), ['The plan costs less. and it works.']);
+});
+
+test('splitSentences splits CJK text on full stops without spaces', () => {
+    assert.deepEqual(splitSentences('我们支持。你们反对！'), ['我们支持。', '你们反对！']);
+});
+
+test('splitSentences keeps trailing text without punctuation', () => {
+    assert.deepEqual(splitSentences('One sentence. And the rest'), ['One sentence.', 'And the rest']);
+    assert.deepEqual(splitSentences('   '), []);
+});
+
+test('wrapLines keeps short text on one line', () => {
+    assert.deepEqual(wrapLines('A short caption', 42), ['A short caption']);
+});
+
+test('wrapLines balances two lines within the limit', () => {
+    const lines = wrapLines('The affirmative has not shown that the plan solves the harms it claims', 42);
+    assert.equal(lines.length, 2);
+    for (const line of lines) assert.ok(textWidth(line) <= 42, line);
+    assert.ok(Math.abs(lines[0].length - lines[1].length) < 12);
+    assert.equal(lines.join(' '), 'The affirmative has not shown that the plan solves the harms it claims');
+});
+
+test('wrapLines puts overflow on the last line rather than adding lines', () => {
+    const text = 'one two three four five six seven eight nine ten eleven twelve';
+    const lines = wrapLines(text, 10, 2);
+    assert.equal(lines.length, 2);
+    assert.equal(lines.join(' '), text);
+});
+
+test('wrapLines counts CJK characters as two columns', () => {
+    const lines = wrapLines('我们认为这个计划不能解决问题', 14);
+    assert.equal(lines.length, 2);
+    for (const line of lines) assert.ok(textWidth(line) <= 14, line);
+    assert.equal(lines.join(''), '我们认为这个计划不能解决问题');
+});
@@ -0,0 +1,106 @@
+// Text helpers shared by the speech, caption and retrieval steps
+
+// Words that end with a period without ending the sentence
+const ABBREVIATIONS = new Set([
+    'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'mt', 'vs', 'etc', 'e.g', 'i.e', 'cf',
+    'u.s', 'u.k', 'u.n', 'no', 'nos', 'fig', 'approx', 'dept', 'est', 'inc', 'ltd', 'co', 'corp',
+    'gov', 'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec'
+]);
+
+// Common words left out when matching texts by their terms
+const STOPWORDS = new Set(('the and for that this with are was were have has had not but you your our their they them ' +
+    'from its it\'s will would should could can all any who what when where which why how than then there these those ' +
+    'been being into about also more most such very just only because while over under some').split(' '));
+
+// Split text into sentences without breaking on abbreviations, initials or decimal numbers.
+// CJK full stops end a sentence without a following space.
+function splitSentences(text) {
+    const sentences = [];
+    const boundary = /[.!?\u061F]+["')\]]*(?=\s|$)|[\u3002\uFF01\uFF1F]+[\u300D\u300F\uFF09]*/g;
+    let start = 0;
+    let match;
+
+    while ((match = boundary.exec(text)) !== null) {
+        const end = match.index + match[0].length;
+        const precedingWord = text.slice(start, match.index).split(/\s+/).pop().replace(/^["'(\[]+/, '').toLowerCase();
+        const nextText = text.slice(end).trimStart();
+
+        if (match[0] === '.') {
+            // "Dr. Smith", "J. Doe", "approx. five"
+            if (ABBREVIATIONS.has(precedingWord) || /^[a-z]$/.test(precedingWord)) continue;
+            if (/^[a-z]/.test(nextText)) continue;
+        }
+
+        const sentence = text.slice(start, end).trim();
+        if (sentence.length > 0) sentences.push(sentence);
+        start = end;
+    }
+
+    const rest = text.slice(start).trim();
+    if (rest.length > 0) sentences.push(rest);
+    return sentences;
+}
+
+// Scripts written without spaces between words; each character is a word of its own
+const UNSPACED = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\u3000-\u303F\uFF00-\uFF60]/u;
+const UNSPACED_WORD = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\u30FC][\p{P}\u3000-\u303F\uFF00-\uFF60]*|[^\s\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\u30FC]+/gu;
+// Characters drawn twice as wide as Latin letters
+const WIDE = /[\u1100-\u115F\u2E80-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6]/u;
+
+// Split text into words: on whitespace, and into single characters in Chinese and Japanese
+function splitWords(text) {
+    return text.match(UNSPACED_WORD) || [];
+}
+
+// The space that goes between two words, or none next to an unspaced script
+function wordSeparator(left, right) {
+    return UNSPACED.test(left.slice(-1)) || UNSPACED.test(right.charAt(0)) ? '' : ' ';
+}
+
+function joinWords(words) {
+    return words.reduce((text, word) => text ? `${text}${wordSeparator(text, word)}${word}` : word, '');
+}
+
+// Width of text in columns, counting CJK characters as two
+function textWidth(text) {
+    let width = 0;
+    for (const char of text) width += WIDE.test(char) ? 2 : 1;
+    return width;
+}
+
+// Break text into at most maxLines lines of up to maxChars columns, balancing line lengths
+function wrapLines(text, maxChars, maxLines = 2) {
+    const words = splitWords(text);
+    const totalLength = textWidth(joinWords(words));
+    const targetLength = Math.min(maxChars, Math.ceil(totalLength / Math.min(maxLines, Math.ceil(totalLength / maxChars) || 1)));
+    const lines = [];
+    let line = '';
+
+    for (const word of words) {
+        const candidate = joinWords([line, word].filter(Boolean));
+        if (line && textWidth(candidate) > targetLength && lines.length < maxLines - 1) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    }
+    if (line) lines.push(line);
+    return lines;
+}
+
+// Lowercased content words of a text, for term matching
+function tokenize(text) {
+    return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(token => token.length > 2 && !STOPWORDS.has(token));
+}
+
+module.exports = {
+    splitSentences,
+    splitWords,
+    joinWords,
+    wordSeparator,
+    textWidth,
+    wrapLines,
+    tokenize
+};
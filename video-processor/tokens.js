@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+
+// Owner tokens for objects that are looked up by an id clients choose or share: evidence
+// libraries and debate sessions. The client keeps the token; only its SHA-256 is stored, and
+// requests that change or read the object must present the token.
+
+function createToken() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Whether two stored token hashes are the same. A missing hash matches nothing.
+function hashesMatch(hash, storedHash) {
+    if (typeof hash !== 'string' || typeof storedHash !== 'string') return false;
+    const a = Buffer.from(hash, 'hex');
+    const b = Buffer.from(storedHash, 'hex');
+    return a.length === 32 && b.length === 32 && crypto.timingSafeEqual(a, b);
+}
+
+// Whether a token presented by a client is the one storedHash was made from
+function tokenMatches(token, storedHash) {
+    if (typeof token !== 'string' || token === '') return false;
+    return hashesMatch(hashToken(token), storedHash);
+}
+
+module.exports = {
+    createToken,
+    hashToken,
+    hashesMatch,
+    tokenMatches
+};
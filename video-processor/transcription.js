@@ -0,0 +1,176 @@
+const fs = require('fs').promises;
+const { runCommand } = require('./media');
+
+// Speech-to-text providers. Every provider takes a 16 kHz mono WAV and resolves to
+// { provider, text, language, confidence, words: [{ word, start, end, confidence, speaker? }] }
+// with times in seconds. Providers that can diarize set `speaker` on each word. `language` is
+// the spoken language the provider detected, or the one it was told to expect.
+
+const DEFAULT_PROVIDER = process.env.TRANSCRIPTION_PROVIDER || 'google';
+
+// Offline transcription with a local whisper.cpp build
+async function whisperTranscription(audioPath, options = {}) {
+    const binary = options.whisperBin || process.env.WHISPER_CPP_BIN || 'whisper-cli';
+    // A multilingual model with language 'auto' detects the spoken language
+    const model = options.whisperModel || process.env.WHISPER_MODEL || '/opt/whisper/models/ggml-base.bin';
+    const language = options.language || process.env.TRANSCRIPTION_LANGUAGE || 'auto';
+    const outputBase = audioPath.replace(/\.wav$/, '') + '_whisper';
+
+    // -ml 1 -sow gives one segment per word, -ojf adds per-token probabilities
+    await runCommand(binary, ['-m', model, '-f', audioPath, '-l', language, '-ml', '1', '-sow', '-ojf', '-of', outputBase], options.media);
+
+    const jsonPath = `${outputBase}.json`;
+    const output = JSON.parse(await fs.readFile(jsonPath, 'utf8'));
+    await fs.unlink(jsonPath).catch(() => {});
+
+    const words = (output.transcription || [])
+        .map(segment => {
+            const tokens = (segment.tokens || []).filter(token => !/^\[_.*\]$/.test(token.text));
+            const confidence = tokens.length > 0
+                ? tokens.reduce((sum, token) => sum + (token.p || 0), 0) / tokens.length
+                : null;
+            return {
+                word: segment.text.trim(),
+                start: segment.offsets.from / 1000,
+                end: segment.offsets.to / 1000,
+                confidence: confidence
+            };
+        })
+        .filter(word => word.word.length > 0);
+
+    return buildResult('whisper', words, (output.result && output.result.language) || language);
+}
+
+// Cloud transcription with Google Cloud Speech-to-Text
+async function googleTranscription(audioPath, options = {}) {
+    const speech = require('@google-cloud/speech');
+    const client = new speech.SpeechClient();
+    const language = options.language || process.env.TRANSCRIPTION_LANGUAGE || 'en-US';
+    // The service picks whichever of the language and its alternatives is spoken
+    const alternativeLanguages = (options.alternativeLanguages || (process.env.TRANSCRIPTION_ALTERNATIVE_LANGUAGES || '').split(','))
+        .map(code => code.trim())
+        .filter(code => code && code !== language);
+
+    // Long recordings must be read from Cloud Storage rather than sent inline
+    const { bucket, fileId } = options;
+    let audio;
+    let stagedFile = null;
+    if (bucket && fileId) {
+        stagedFile = bucket.file(`temp/transcription/${fileId}.wav`);
+        await stagedFile.save(await fs.readFile(audioPath), { metadata: { contentType: 'audio/wav' } });
+        audio = { uri: `gs://${bucket.name}/${stagedFile.name}` };
+    } else {
+        audio = { content: (await fs.readFile(audioPath)).toString('base64') };
+    }
+
+    try {
+        const [operation] = await client.longRunningRecognize({
+            audio: audio,
+            config: {
+                encoding: 'LINEAR16',
+                sampleRateHertz: 16000,
+                languageCode: language,
+                alternativeLanguageCodes: alternativeLanguages.length > 0 ? alternativeLanguages.slice(0, 3) : undefined,
+                enableAutomaticPunctuation: true,
+                enableWordTimeOffsets: true,
+                enableWordConfidence: true,
+                model: options.googleModel || process.env.GOOGLE_SPEECH_MODEL || 'latest_long',
+                diarizationConfig: options.diarize ? {
+                    enableSpeakerDiarization: true,
+                    minSpeakerCount: 1,
+                    maxSpeakerCount: options.maxSpeakers || 4
+                } : undefined
+            }
+        });
+        const [response] = await operation.promise();
+
+        // With diarization enabled the final result repeats every word with a speaker tag
+        let results = response.results || [];
+        if (options.diarize && results.length > 0) {
+            results = results.slice(-1);
+        }
+
+        const words = [];
+        let detectedLanguage = language;
+        for (const result of results) {
+            const alternative = result.alternatives && result.alternatives[0];
+            if (!alternative) continue;
+            if (result.languageCode) detectedLanguage = result.languageCode;
+            for (const info of alternative.words || []) {
+                const word = {
+                    word: info.word,
+                    start: toSeconds(info.startTime),
+                    end: toSeconds(info.endTime),
+                    confidence: typeof info.confidence === 'number' ? info.confidence : alternative.confidence
+                };
+                if (info.speakerTag) {
+                    word.speaker = info.speakerTag;
+                }
+                words.push(word);
+            }
+        }
+
+        return buildResult('google', words, detectedLanguage);
+    } finally {
+        if (stagedFile) {
+            await stagedFile.delete().catch(err => console.log('Error deleting staged audio:', err.message));
+        }
+    }
+}
+
+// Deterministic transcription for local development without an STT engine
+async function mockTranscription(audioPath) {
+    const text = "This is a mock transcription of the debate video. The speaker discusses important topics and presents arguments that need to be addressed.";
+    const words = text.split(/\s+/).map((word, index) => ({
+        word: word,
+        start: index * 0.4,
+        end: index * 0.4 + 0.35,
+        confidence: 1
+    }));
+    return buildResult('mock', words, 'en');
+}
+
+const providers = {
+    whisper: whisperTranscription,
+    google: googleTranscription,
+    mock: mockTranscription
+};
+
+// Transcribe an audio file with the configured provider
+async function transcribe(audioPath, options = {}) {
+    const providerName = options.provider || DEFAULT_PROVIDER;
+    const provider = providers[providerName];
+    if (!provider) {
+        throw new Error(`Unknown transcription provider: ${providerName}`);
+    }
+
+    console.log(`Transcribing with provider: ${providerName}`);
+    const result = await provider(audioPath, options);
+    if (!result.text) {
+        throw new Error('No speech detected in the video');
+    }
+    return result;
+}
+
+function buildResult(provider, words, language) {
+    const scored = words.filter(word => typeof word.confidence === 'number');
+    return {
+        provider: provider,
+        text: words.map(word => word.word).join(' '),
+        language: language,
+        confidence: scored.length > 0
+            ? scored.reduce((sum, word) => sum + word.confidence, 0) / scored.length
+            : null,
+        words: words
+    };
+}
+
+function toSeconds(duration) {
+    if (!duration) return 0;
+    return Number(duration.seconds || 0) + (duration.nanos || 0) / 1e9;
+}
+
+module.exports = {
+    transcribe,
+    providers
+};
@@ -0,0 +1,263 @@
+const fs = require('fs').promises;
+const { runCommand, runFfmpeg, probeDuration } = require('./media');
+const { splitSentences, splitWords, wordSeparator } = require('./text');
+const { espeakVoiceFor } = require('./languages');
+
+// Text-to-speech providers. Every provider writes a 44.1 kHz stereo WAV to outputPath and
+// resolves to { provider, voice, language, speed, duration, sentences, words } where
+// sentences are [{ text, start, end }] and words are [{ word, start, end }] (or null when
+// the engine cannot report word timings). Times are in seconds. Providers pass media (signal,
+// onProgress) to the media runner.
+
+const DEFAULT_PROVIDER = process.env.TTS_PROVIDER || 'google';
+// Google's limit on the input of one synthesis request
+const GOOGLE_MAX_INPUT_BYTES = 5000;
+
+// Offline synthesis with espeak-ng, one sentence at a time so sentence timings are exact
+async function espeakSpeech(text, outputPath, settings, media = {}) {
+    const voice = settings.voice || espeakVoiceFor(settings.language);
+    const wordsPerMinute = Math.round(175 * settings.speed);
+    const sentences = splitSentences(text);
+    const partPaths = [];
+    const timings = [];
+    let offset = 0;
+
+    try {
+        for (let i = 0; i < sentences.length; i++) {
+            const textPath = `${outputPath}.part${i}.txt`;
+            const partPath = `${outputPath}.part${i}.wav`;
+            await fs.writeFile(textPath, sentences[i], 'utf8');
+            await runCommand('espeak-ng', ['-v', voice, '-s', String(wordsPerMinute), '-f', textPath, '-w', partPath], media);
+            await fs.unlink(textPath).catch(() => {});
+            partPaths.push(partPath);
+
+            const duration = await probeDuration(partPath, media);
+            timings.push({ text: sentences[i], start: offset, end: offset + duration });
+            offset += duration;
+        }
+
+        await concatWavFiles(partPaths, outputPath, media);
+    } finally {
+        for (const partPath of partPaths) {
+            await fs.unlink(partPath).catch(() => {});
+        }
+    }
+
+    return {
+        provider: 'espeak',
+        voice: voice,
+        sentences: timings,
+        words: null
+    };
+}
+
+// Cloud synthesis with Google Cloud Text-to-Speech; SSML marks give word timings. A request
+// takes at most GOOGLE_MAX_INPUT_BYTES of SSML, so longer texts are synthesized a chunk of
+// sentences at a time and the audio joined, with each chunk's marks offset by the audio before it.
+async function googleSpeech(text, outputPath, settings, media = {}) {
+    const textToSpeech = require('@google-cloud/text-to-speech');
+    const client = new textToSpeech.v1beta1.TextToSpeechClient();
+
+    const sentences = splitSentences(text);
+    const sentenceWords = sentences.map(sentence => splitWords(sentence));
+    const allWords = sentenceWords.flat();
+    const chunks = buildSsmlChunks(sentenceWords);
+    const partPaths = [];
+    const words = [];
+    let offset = 0;
+
+    try {
+        for (let i = 0; i < chunks.length; i++) {
+            const [response] = await client.synthesizeSpeech({
+                input: { ssml: chunks[i].ssml },
+                voice: {
+                    languageCode: settings.language,
+                    name: settings.voice || undefined
+                },
+                audioConfig: {
+                    audioEncoding: 'LINEAR16',
+                    sampleRateHertz: 44100,
+                    speakingRate: settings.speed
+                },
+                enableTimePointing: ['SSML_MARK']
+            });
+
+            // LINEAR16 responses include a WAV header; convert to stereo to match the other engines
+            const monoPath = `${outputPath}.part${i}.mono.wav`;
+            const partPath = `${outputPath}.part${i}.wav`;
+            await fs.writeFile(monoPath, response.audioContent);
+            try {
+                await runFfmpeg(['-i', monoPath, '-ac', '2', '-ar', '44100', '-c:a', 'pcm_s16le', partPath], media);
+            } finally {
+                await fs.unlink(monoPath).catch(() => {});
+            }
+            partPaths.push(partPath);
+            const duration = await probeDuration(partPath, media);
+
+            const markTimes = {};
+            for (const timepoint of response.timepoints || []) {
+                markTimes[timepoint.markName] = timepoint.timeSeconds;
+            }
+
+            const { firstWord, wordCount } = chunks[i];
+            for (let index = firstWord; index < firstWord + wordCount; index++) {
+                const next = index + 1 < firstWord + wordCount ? markTimes[`w${index + 1}`] : null;
+                words.push({
+                    word: allWords[index],
+                    start: offset + (markTimes[`w${index}`] || 0),
+                    end: offset + (next || duration)
+                });
+            }
+            offset += duration;
+        }
+
+        await concatWavFiles(partPaths, outputPath, media);
+    } finally {
+        for (const partPath of partPaths) {
+            await fs.unlink(partPath).catch(() => {});
+        }
+    }
+
+    const timings = [];
+    let wordIndex = 0;
+    for (let i = 0; i < sentences.length; i++) {
+        const first = words[wordIndex];
+        const last = words[wordIndex + sentenceWords[i].length - 1];
+        timings.push({ text: sentences[i], start: first.start, end: last.end });
+        wordIndex += sentenceWords[i].length;
+    }
+
+    return {
+        provider: 'google',
+        voice: settings.voice || null,
+        sentences: timings,
+        words: words
+    };
+}
+
+// Silent audio sized to the text, for local development without a TTS engine
+async function mockSpeech(text, outputPath, settings, media = {}) {
+    const sentences = splitSentences(text);
+    const secondsPerWord = 60 / (150 * settings.speed);
+    const timings = [];
+    let offset = 0;
+    for (const sentence of sentences) {
+        const duration = splitWords(sentence).length * secondsPerWord;
+        timings.push({ text: sentence, start: offset, end: offset + duration });
+        offset += duration;
+    }
+
+    const duration = Math.max(offset, 1);
+    await runFfmpeg(['-f', 'lavfi', '-i', 'anullsrc=channel_layout=stereo:sample_rate=44100', '-t', duration.toFixed(2), '-c:a', 'pcm_s16le', outputPath], { ...media, duration });
+
+    return {
+        provider: 'mock',
+        voice: 'silence',
+        sentences: timings,
+        words: null
+    };
+}
+
+const providers = {
+    espeak: espeakSpeech,
+    google: googleSpeech,
+    mock: mockSpeech
+};
+
+// Synthesize speech with the configured provider and per-request voice settings
+async function synthesize(text, outputPath, options = {}, media = {}) {
+    const providerName = options.provider || DEFAULT_PROVIDER;
+    const provider = providers[providerName];
+    if (!provider) {
+        throw new Error(`Unknown text-to-speech provider: ${providerName}`);
+    }
+
+    const settings = resolveVoiceSettings(options);
+    console.log(`Synthesizing speech with provider: ${providerName}`, settings);
+
+    const result = await provider(text, outputPath, settings, media);
+    const duration = await probeDuration(outputPath, media);
+
+    return {
+        ...result,
+        language: settings.language,
+        speed: settings.speed,
+        duration: duration
+    };
+}
+
+// Merge request voice settings with the configured defaults
+function resolveVoiceSettings(options = {}) {
+    const speed = parseFloat(options.speed || process.env.TTS_SPEED || '1');
+    if (!Number.isFinite(speed) || speed < 0.25 || speed > 4) {
+        throw new Error('Voice speed must be between 0.25 and 4');
+    }
+    const language = options.language || process.env.TTS_LANGUAGE || 'en-US';
+    // The default voice only speaks the default language
+    const defaultVoice = language === (process.env.TTS_LANGUAGE || 'en-US') ? process.env.TTS_VOICE : null;
+    return {
+        voice: options.voice || defaultVoice || null,
+        language: language,
+        speed: speed
+    };
+}
+
+// Group sentences, as SSML with a mark before every word, into <speak> documents of at most
+// GOOGLE_MAX_INPUT_BYTES. Marks are numbered across the whole text (w0, w1, ...); a sentence
+// too long for one document is split between words. Returns [{ ssml, firstWord, wordCount }].
+function buildSsmlChunks(sentenceWords) {
+    const limit = GOOGLE_MAX_INPUT_BYTES - Buffer.byteLength('<speak></speak>');
+    const pieces = [];
+    let markIndex = 0;
+    for (const words of sentenceWords) {
+        let parts = [];
+        const addPiece = () => pieces.push({ ssml: `<s>${parts.join('')}</s>`, firstWord: markIndex - parts.length, wordCount: parts.length });
+        for (let index = 0; index < words.length; index++) {
+            const part = `${parts.length > 0 ? wordSeparator(words[index - 1], words[index]) : ''}<mark name="w${markIndex}"/>${escapeXml(words[index])}`;
+            if (parts.length > 0 && Buffer.byteLength(`<s>${parts.join('')}${part}</s>`) > limit) {
+                addPiece();
+                parts = [];
+            }
+            parts.push(part);
+            markIndex++;
+        }
+        if (parts.length > 0) addPiece();
+    }
+
+    const chunks = [];
+    for (const piece of pieces) {
+        const last = chunks[chunks.length - 1];
+        if (last && Buffer.byteLength(`${last.ssml} ${piece.ssml}`) <= limit) {
+            last.ssml += ` ${piece.ssml}`;
+            last.wordCount += piece.wordCount;
+        } else {
+            chunks.push({ ...piece });
+        }
+    }
+    return chunks.map(chunk => ({ ...chunk, ssml: `<speak>${chunk.ssml}</speak>` }));
+}
+
+function escapeXml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+async function concatWavFiles(inputPaths, outputPath, media = {}) {
+    const listPath = `${outputPath}.concat.txt`;
+    await fs.writeFile(listPath, inputPaths.map(p => `file '${p}'`).join('\n'), 'utf8');
+    try {
+        await runFfmpeg(['-f', 'concat', '-safe', '0', '-i', listPath, '-ac', '2', '-ar', '44100', '-c:a', 'pcm_s16le', outputPath], media);
+    } finally {
+        await fs.unlink(listPath).catch(() => {});
+    }
+}
+
+module.exports = {
+    synthesize,
+    resolveVoiceSettings,
+    providers
+};
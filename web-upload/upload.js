@@ -1,3 +1,13 @@
+// Speeches the AI can answer in each debate format (mirrors video-processor/formats.js)
+const DEBATE_FORMAT_ROLES = {
+    general: { speech: 'Any debate speech' },
+    ld: { AC: 'Affirmative Constructive (AC)', NC: 'Negative Constructive (NC)', '1AR': 'First Affirmative Rebuttal (1AR)', NR: 'Negative Rebuttal (NR)' },
+    policy: { '1AC': 'First Affirmative Constructive (1AC)', '1NC': 'First Negative Constructive (1NC)', '2AC': 'Second Affirmative Constructive (2AC)', '1AR': 'First Affirmative Rebuttal (1AR)', '2NR': 'Second Negative Rebuttal (2NR)' },
+    pf: { constructive: 'Constructive', rebuttal: 'Rebuttal', summary: 'Summary' },
+    bp: { PM: 'Prime Minister', LO: 'Leader of the Opposition', MG: 'Member of Government', GW: 'Government Whip' },
+    wsdc: { P1: 'First Proposition', O1: 'First Opposition', P3: 'Third Proposition', reply: 'Reply Speech' }
+};
+
 class VideoUploader {
     constructor() {
         this.uploadArea = document.getElementById('uploadArea');
@@ -13,6 +23,7 @@ class VideoUploader {
         this.uploadUrl = 'https://us-central1-ai-human-api-system.cloudfunctions.net/upload-video';
         
         this.initializeEventListeners();
+        this.updateSpeechRoles();
     }
 
     initializeEventListeners() {
@@ -38,6 +49,19 @@ class VideoUploader {
             this.handleFileSelect(e.dataTransfer.files[0]);
         });
 
+        // Format selection changes the speeches that can be answered
+        document.getElementById('debateFormat').addEventListener('change', () => {
+            this.updateSpeechRoles();
+        });
+
+        // Forget the stored session so the next upload starts a new one
+        document.getElementById('newSessionBtn').addEventListener('click', () => {
+            localStorage.removeItem('debateSessionId');
+            localStorage.removeItem('debateSessionToken');
+            document.getElementById('continueSession').checked = true;
+            alert('A new debate session will start with your next upload.');
+        });
+
         // Submit button
         this.submitBtn.addEventListener('click', () => {
             this.uploadVideo();
@@ -85,6 +109,18 @@ class VideoUploader {
         this.updateSubmitButton();
     }
 
+    updateSpeechRoles() {
+        const format = document.getElementById('debateFormat').value;
+        const roleSelect = document.getElementById('speechRole');
+        roleSelect.innerHTML = '';
+        Object.entries(DEBATE_FORMAT_ROLES[format]).forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            roleSelect.appendChild(option);
+        });
+    }
+
     formatFileSize(bytes) {
         if (bytes === 0) return '0 Bytes';
         const k = 1024;
@@ -116,8 +152,7 @@ class VideoUploader {
             return;
         }
 
-        const email = document.getElementById('userEmail').value.trim();
-        const topic = document.getElementById('debateTopic').value.trim();
+        const fields = this.getFormFields();
 
         // Show progress
         this.progressSection.style.display = 'block';
@@ -130,7 +165,7 @@ class VideoUploader {
             if (this.selectedFile.size > LARGE_FILE_THRESHOLD) {
                 // Use chunked upload for large files
                 console.log('Large file detected, using chunked upload...');
-                await this.uploadLargeFile(email, topic);
+                await this.uploadLargeFile(fields);
                 return;
             }
 
@@ -146,8 +181,7 @@ class VideoUploader {
                 fileName: this.selectedFile.name,
                 fileType: this.selectedFile.type,
                 fileSize: this.selectedFile.size,
-                email: email,
-                topic: topic
+                ...fields
             };
 
             console.log('Uploading file:', {
@@ -178,15 +212,13 @@ class VideoUploader {
             this.updateProgress(90, 'Processing...');
 
             if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Upload failed: ${response.status} - ${errorText}`);
+                throw new Error(`Upload failed: ${await this.describeError(response)}`);
             }
 
             const result = await response.json();
 
             if (result.success) {
-                this.updateProgress(100, 'Upload successful!');
-                setTimeout(() => this.showSuccess(), 500);
+                this.finishUpload(result);
             } else {
                 throw new Error(result.error || 'Upload failed');
             }
@@ -199,7 +231,7 @@ class VideoUploader {
                 this.updateProgress(50, 'Trying alternative upload method...');
                 
                 try {
-                    await this.tryMultipartUpload(email, topic);
+                    await this.tryMultipartUpload(fields);
                     return;
                 } catch (multipartError) {
                     console.error('Multipart upload also failed:', multipartError);
@@ -212,7 +244,7 @@ class VideoUploader {
         }
     }
 
-    async uploadLargeFile(email, topic) {
+    async uploadLargeFile(fields) {
         const CHUNK_SIZE = 5 * 1024 * 1024; // 5MB chunks
         
         try {
@@ -246,8 +278,7 @@ class VideoUploader {
                     fileName: this.selectedFile.name,
                     fileType: this.selectedFile.type,
                     fileSize: this.selectedFile.size,
-                    email: email,
-                    topic: topic,
+                    ...fields,
                     isLastChunk: chunkIndex === totalChunks - 1
                 };
                 
@@ -260,16 +291,14 @@ class VideoUploader {
                 });
                 
                 if (!response.ok) {
-                    const errorText = await response.text();
-                    throw new Error(`Chunk ${chunkIndex + 1} upload failed: ${response.status} - ${errorText}`);
+                    throw new Error(`Chunk ${chunkIndex + 1} upload failed: ${await this.describeError(response)}`);
                 }
                 
                 const result = await response.json();
                 console.log(`Chunk ${chunkIndex + 1} result:`, result);
                 
                 if (result.success && result.isLastChunk) {
-                    this.updateProgress(100, 'Upload complete!');
-                    setTimeout(() => this.showSuccess(), 500);
+                    this.finishUpload(result);
                     return;
                 }
             }
@@ -281,14 +310,13 @@ class VideoUploader {
         }
     }
 
-    async tryMultipartUpload(email, topic) {
+    async tryMultipartUpload(fields) {
         this.updateProgress(60, 'Trying multipart upload...');
         
         // Create FormData
         const formData = new FormData();
         formData.append('video', this.selectedFile);
-        formData.append('email', email);
-        formData.append('topic', topic);
+        Object.entries(fields).forEach(([name, value]) => formData.append(name, value));
 
         const response = await fetch(this.uploadUrl, {
             method: 'POST',
@@ -300,20 +328,88 @@ class VideoUploader {
         this.updateProgress(90, 'Processing...');
 
         if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Multipart upload failed: ${response.status} - ${errorText}`);
+            throw new Error(`Multipart upload failed: ${await this.describeError(response)}`);
         }
 
         const result = await response.json();
 
         if (result.success) {
-            this.updateProgress(100, 'Upload successful!');
-            setTimeout(() => this.showSuccess(), 500);
+            this.finishUpload(result);
         } else {
             throw new Error(result.error || 'Multipart upload failed');
         }
     }
 
+    // Show a stored upload's outcome. The processor can still refuse the request (an unknown
+    // evidence library, a bad callback URL, ...); its reason is shown instead of success then.
+    finishUpload(result) {
+        if (result.processingTriggered === false) {
+            const processingError = result.processingError;
+            const reason = processingError
+                ? `${processingError.error}${processingError.code ? ` (${processingError.code})` : ''}`
+                : 'the processing service could not be reached';
+            alert(`Your video was uploaded, but processing could not start: ${reason}`);
+            this.hideProgress();
+            return;
+        }
+
+        this.updateProgress(100, 'Upload successful!');
+        setTimeout(() => this.showSuccess(), 500);
+    }
+
+    // Describe a failed upload response. Rejected videos carry a message for the user and an error code.
+    async describeError(response) {
+        const errorText = await response.text();
+        try {
+            const result = JSON.parse(errorText);
+            if (result.code) {
+                return `${result.error} (${result.code})`;
+            }
+        } catch (error) {
+            // Not JSON; show the response as it is
+        }
+        return `${response.status} - ${errorText}`;
+    }
+
+    // Collect the form fields sent with every upload method
+    getFormFields() {
+        return {
+            email: document.getElementById('userEmail').value.trim(),
+            topic: document.getElementById('debateTopic').value.trim(),
+            mode: document.getElementById('processingMode').value,
+            format: document.getElementById('debateFormat').value,
+            speechRole: document.getElementById('speechRole').value,
+            speakerNames: document.getElementById('speakerNames').value.trim(),
+            voiceSpeed: document.getElementById('voiceSpeed').value,
+            evidenceLibrary: document.getElementById('evidenceLibrary').value.trim(),
+            factCheck: document.getElementById('factCheck').value,
+            layout: document.getElementById('videoLayout').value,
+            visuals: document.getElementById('visuals').value,
+            slideTheme: document.getElementById('slideTheme').value,
+            responseLanguage: document.getElementById('responseLanguage').value,
+            captionLanguages: document.getElementById('captionLanguages').value.trim(),
+            renditions: [...document.querySelectorAll('input[name="renditions"]:checked')].map(input => input.value).join(','),
+            ...this.getSession()
+        };
+    }
+
+    // Session id and token reused across uploads while "Continue my debate session" is checked.
+    // Only uploads with the token can add to the session or read it.
+    getSession() {
+        if (!document.getElementById('continueSession').checked) return { sessionId: '', sessionToken: '' };
+
+        let sessionId = localStorage.getItem('debateSessionId');
+        let sessionToken = localStorage.getItem('debateSessionToken');
+        // Sessions started before session tokens cannot be continued, so a new one is started
+        if (!sessionId || !sessionToken) {
+            sessionId = crypto.randomUUID();
+            sessionToken = crypto.randomUUID();
+            localStorage.setItem('debateSessionId', sessionId);
+            localStorage.setItem('debateSessionToken', sessionToken);
+        }
+        return { sessionId, sessionToken };
+    }
+
     fileToBase64(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();